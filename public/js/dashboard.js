@@ -1,6 +1,6 @@
 document.addEventListener('DOMContentLoaded', function() {
   console.log('Dashboard loaded');
-  
+
   const statCards = document.querySelectorAll('.stat-card');
   statCards.forEach(card => {
     card.addEventListener('mouseenter', function() {
@@ -12,27 +12,180 @@ document.addEventListener('DOMContentLoaded', function() {
   });
 });
 
+function escapeHtml(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
 function closeTicket(ticketId, event) {
   if (event) event.preventDefault();
-  if (!confirm('Are you sure you want to close this ticket?')) return;
-  
-  fetch(`/api/ticket/${ticketId}/close`, { 
+  const reason = prompt('Close reason (optional, sent to the user):');
+  if (reason === null) return;
+
+  fetch(`/api/ticket/${ticketId}/close`, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json'
-    }
+    },
+    body: JSON.stringify({ reason })
   })
   .then(res => res.json())
   .then(data => {
-    if (data.success) {
-      alert('✅ Ticket closed successfully');
-      location.reload();
-    } else {
+    if (!data.success) {
       alert('❌ Error: ' + (data.error || 'Failed to close ticket'));
     }
+    // On success the live update moves the ticket between lists.
   })
   .catch(err => {
     console.error('Error:', err);
     alert('❌ Failed to close ticket');
   });
 }
+
+// ===== Live updates =====
+
+function connectLiveUpdates(onEvent) {
+  if (!window.EventSource) return null;
+
+  const source = new EventSource('/api/events');
+  source.onmessage = (e) => {
+    try {
+      onEvent(JSON.parse(e.data));
+    } catch (err) {
+      console.error('Failed to handle live update', err);
+    }
+  };
+  source.onerror = () => {
+    console.warn('Live updates disconnected, retrying...');
+  };
+  return source;
+}
+
+function adjustCounter(id, delta) {
+  const el = document.getElementById(id);
+  if (!el) return;
+  const value = parseInt(el.textContent, 10);
+  if (!isNaN(value)) el.textContent = Math.max(0, value + delta);
+}
+
+function renderUserCell(ticket) {
+  const avatar = ticket.user && ticket.user.avatar
+    ? `<img src="${ticket.user.avatar}" alt="${escapeHtml(ticket.user.tag)}" class="user-avatar-small">`
+    : '<div class="user-avatar-small" style="background: #5865f2;">?</div>';
+  return `<td><div class="user-display">${avatar}<span class="user-name">${escapeHtml(ticket.user ? ticket.user.tag : ticket.user_id)}</span></div></td>`;
+}
+
+function buildOpenTicketRow(ticket) {
+  const row = document.createElement('tr');
+  row.className = 'ticket-row';
+  row.dataset.ticketId = ticket._id;
+  const priority = ticket.priority || 'normal';
+  const scheduled = ticket.scheduled_close_at
+    ? ` <span class="badge badge-warning">⏳ Closing ${new Date(ticket.scheduled_close_at).toLocaleString()}</span>`
+    : '';
+  row.innerHTML = `
+    <td><span class="ticket-id">${ticket._id.substring(0, 8)}...</span></td>
+    ${renderUserCell(ticket)}
+    <td><code>${ticket.channel_id}</code></td>
+    <td><span class="priority-badge priority-${priority}">${priority}</span></td>
+    <td><span class="timestamp">${new Date(ticket.created_at).toLocaleDateString()}</span>${scheduled}</td>
+    <td>
+      <a href="/ticket/${ticket._id}" class="btn btn-primary" style="padding: 0.5rem 1rem; font-size: 0.9rem;">View</a>
+      <button onclick="closeTicket('${ticket._id}', event)" class="btn btn-danger" style="padding: 0.5rem 1rem; font-size: 0.9rem;">Close</button>
+    </td>`;
+  return row;
+}
+
+function buildClosedTicketRow(ticket) {
+  const row = document.createElement('tr');
+  row.dataset.ticketId = ticket._id;
+  row.innerHTML = `
+    <td><span class="ticket-id">${ticket._id.substring(0, 8)}...</span></td>
+    ${renderUserCell(ticket)}
+    <td><span class="timestamp">${new Date(ticket.closed_at || Date.now()).toLocaleDateString()}</span></td>
+    <td>${escapeHtml(ticket.closed_by || 'N/A')}</td>
+    <td>${escapeHtml(ticket.close_reason || '—')}</td>
+    <td><a href="/ticket/${ticket._id}" class="btn btn-primary" style="padding: 0.5rem 1rem; font-size: 0.9rem;">View</a></td>`;
+  return row;
+}
+
+function syncTableVisibility(kind) {
+  const body = document.getElementById(`${kind}-tickets-body`);
+  if (!body) return;
+  const hasRows = body.children.length > 0;
+  document.getElementById(`${kind}-tickets-table-container`).style.display = hasRows ? '' : 'none';
+  document.getElementById(`${kind}-empty`).style.display = hasRows ? 'none' : '';
+}
+
+function removeTicketRow(kind, ticketId) {
+  const body = document.getElementById(`${kind}-tickets-body`);
+  const row = body && body.querySelector(`tr[data-ticket-id="${ticketId}"]`);
+  if (!row) return false;
+  row.remove();
+  syncTableVisibility(kind);
+  return true;
+}
+
+function upsertTicketRow(kind, ticket) {
+  const body = document.getElementById(`${kind}-tickets-body`);
+  if (!body) return;
+  const row = kind === 'open' ? buildOpenTicketRow(ticket) : buildClosedTicketRow(ticket);
+  const existing = body.querySelector(`tr[data-ticket-id="${ticket._id}"]`);
+  if (existing) {
+    existing.replaceWith(row);
+  } else {
+    body.prepend(row);
+  }
+  syncTableVisibility(kind);
+}
+
+let guildTicketsRefreshTimer = null;
+
+function handleDashboardEvent(event) {
+  const ticket = event.ticket;
+
+  switch (event.type) {
+    case 'ticket.created':
+      upsertTicketRow('open', ticket);
+      adjustCounter('stat-total', 1);
+      adjustCounter('stat-open', 1);
+      adjustCounter('open-total', 1);
+      break;
+    case 'ticket.reopened':
+      if (removeTicketRow('closed', ticket._id)) adjustCounter('closed-total', -1);
+      upsertTicketRow('open', ticket);
+      adjustCounter('stat-closed', -1);
+      adjustCounter('stat-open', 1);
+      adjustCounter('open-total', 1);
+      break;
+    case 'ticket.closed':
+      removeTicketRow('open', ticket._id);
+      upsertTicketRow('closed', ticket);
+      adjustCounter('stat-open', -1);
+      adjustCounter('stat-closed', 1);
+      adjustCounter('open-total', -1);
+      adjustCounter('closed-total', 1);
+      break;
+    case 'ticket.updated':
+      if (ticket.status === 'open' && document.querySelector(`#open-tickets-body tr[data-ticket-id="${ticket._id}"]`)) {
+        upsertTicketRow('open', ticket);
+      }
+      break;
+    case 'ticket.deleted':
+      if (removeTicketRow('open', ticket._id)) {
+        adjustCounter('stat-open', -1);
+        adjustCounter('open-total', -1);
+      }
+      if (removeTicketRow('closed', ticket._id)) {
+        adjustCounter('stat-closed', -1);
+        adjustCounter('closed-total', -1);
+      }
+      adjustCounter('stat-total', -1);
+      break;
+  }
+
+  // The per-guild list is paginated server-side, so refetch it rather than patching rows.
+  if (typeof selectedGuildId !== 'undefined' && selectedGuildId === ticket.guild_id && event.type !== 'message.created' && event.type !== 'note.created') {
+    clearTimeout(guildTicketsRefreshTimer);
+    guildTicketsRefreshTimer = setTimeout(refreshGuildTickets, 500);
+  }
+}
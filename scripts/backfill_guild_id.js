@@ -9,6 +9,7 @@ const mongoose = require('mongoose');
 
     const Ticket = mongoose.model('Ticket', new mongoose.Schema({}, { strict: false }), 'tickets');
     const GuildSetting = mongoose.model('GuildSetting', new mongoose.Schema({}, { strict: false }), 'guildsettings');
+    const BlockedUser = mongoose.model('BlockedUser', new mongoose.Schema({}, { strict: false }), 'blockedusers');
 
     const defaultGuild = await GuildSetting.findOne({ is_default: true }).lean().catch(() => null) || await GuildSetting.findOne().lean().catch(() => null);
     const fallbackGuildId = process.env.GUILD_ID || (defaultGuild && defaultGuild.guild_id);
@@ -20,6 +21,10 @@ const mongoose = require('mongoose');
 
     const res = await Ticket.updateMany({ guild_id: { $exists: false } }, { $set: { guild_id: fallbackGuildId } });
     console.log('Updated tickets:', res.nModified || res.modifiedCount || res.n);
+
+    await BlockedUser.collection.dropIndex('user_id_1').catch(() => null);
+    const blockRes = await BlockedUser.updateMany({ guild_id: { $exists: false } }, { $set: { guild_id: fallbackGuildId, active: true } });
+    console.log('Updated blocks:', blockRes.nModified || blockRes.modifiedCount || blockRes.n);
     process.exit(0);
   } catch (err) {
     console.error('Error:', err);
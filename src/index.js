@@ -9,7 +9,16 @@ const {
   ActionRowBuilder, 
   ButtonBuilder, 
   ButtonStyle,
-  ActivityType 
+  StringSelectMenuBuilder,
+  ActivityType,
+  SlashCommandBuilder,
+  InteractionContextType,
+  AttachmentBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  InteractionCollector,
+  InteractionType
 } = require('discord.js');
 const express = require('express');
 const session = require('express-session');
@@ -17,7 +26,9 @@ const MongoStore = require('connect-mongo');
 const axios = require('axios');
 const mongoose = require('mongoose');
 const path = require('path');
+const ejs = require('ejs');
 const rateLimit = require('express-rate-limit');
+const multer = require('multer');
 
 mongoose.connect(process.env.MONGODB_URI, {
   serverSelectionTimeoutMS: 5000,
@@ -37,18 +48,57 @@ mongoose.connection.on('disconnected', () => {
   console.warn('⚠️ MongoDB disconnected');
 });
 
+const TICKET_PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+const PRIORITY_INDICATORS = { low: '🔵', normal: '', high: '🟠', urgent: '🔴' };
+const PRIORITY_PREFIX_PATTERN = /^(🔵|🟠|🔴)-/u;
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const EMBED_MAX_TOTAL_LENGTH = 6000;
+// Discord modals hold at most five text inputs, with labels of up to 45 characters.
+const INTAKE_MAX_QUESTIONS = 5;
+const INTAKE_LABEL_MAX_LENGTH = 45;
+const INTAKE_ANSWER_MAX_LENGTH = 1024;
+const INTAKE_STYLES = ['short', 'paragraph'];
+
 const ticketSchema = new mongoose.Schema({
   user_id: { type: String, required: true, index: true },
   guild_id: { type: String, index: true },
   channel_id: { type: String, required: true },
-  status: { type: String, default: 'open', enum: ['open', 'closed'], index: true },
+  status: { type: String, default: 'open', enum: ['open', 'closed', 'deleted'], index: true },
   created_at: { type: Date, default: Date.now, index: true },
+  last_activity_at: { type: Date, default: Date.now },
+  inactivity_warned_at: Date,
+  scheduled_close_at: Date,
+  scheduled_close_by: String,
+  scheduled_close_reason: String,
+  scheduled_close_message_id: String,
   closed_at: Date,
   closed_by: String,
+  close_reason: String,
+  deleted_at: Date,
+  deleted_by: String,
+  restored_at: Date,
+  restored_by: String,
+  reopened_at: Date,
+  reopened_by: String,
+  reopen_count: { type: Number, default: 0 },
   claimed_by: String,
   claimed_at: Date,
-  priority: { type: String, enum: ['low', 'normal', 'high', 'urgent'], default: 'normal' },
+  priority: { type: String, enum: TICKET_PRIORITIES, default: 'normal' },
+  priority_updated_at: Date,
+  last_user_message_at: Date,
+  last_staff_message_at: Date,
+  escalated_at: Date,
   category: String,
+  opened_off_hours: { type: Boolean, default: false },
+  away_notified_until: Date,
+  // Durations counting only the server's business hours, recorded when business hours are enabled.
+  first_response_business_ms: Number,
+  resolution_business_ms: Number,
+  intake_answers: [{
+    _id: false,
+    question: String,
+    answer: String
+  }],
   notes: [{ 
     user_id: String, 
     content: String, 
@@ -62,7 +112,10 @@ const messageSchema = new mongoose.Schema({
   content: String,
   attachments: [String],
   timestamp: { type: Date, default: Date.now, index: true },
-  is_staff: { type: Boolean, default: false }
+  is_staff: { type: Boolean, default: false },
+  is_anonymous: { type: Boolean, default: false },
+  // The DM on the user's side, so a Discord reply to it can be routed back to this ticket.
+  dm_message_id: { type: String, index: { sparse: true } }
 });
 
 const settingSchema = new mongoose.Schema({
@@ -71,6 +124,42 @@ const settingSchema = new mongoose.Schema({
   updated_at: { type: Date, default: Date.now }
 });
 
+const intakeQuestionSchema = new mongoose.Schema({
+  label: { type: String, required: true },
+  placeholder: String,
+  style: { type: String, enum: INTAKE_STYLES, default: 'short' },
+  required: { type: Boolean, default: true }
+}, { _id: false });
+
+const messageTemplateSchema = new mongoose.Schema({
+  title: String,
+  description: String,
+  color: String,
+  fields: [{ _id: false, name: String, value: String, inline: { type: Boolean, default: false } }],
+  footer: String,
+  image: String
+}, { _id: false });
+
+const businessHoursSchema = new mongoose.Schema({
+  enabled: { type: Boolean, default: false },
+  timezone: { type: String, default: 'UTC' },
+  // Opening windows in local time; day 0 is Sunday and a day without windows is closed.
+  schedule: [{ _id: false, day: Number, start: String, end: String }],
+  // Local dates (YYYY-MM-DD) that are closed all day.
+  holidays: [String]
+}, { _id: false });
+
+const ticketCategorySchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  emoji: String,
+  description: String,
+  parent_channel_id: String,
+  staff_role_id: String,
+  greeting: String,
+  // Replaces the server's intake questions for tickets in this category when non-empty.
+  intake_questions: [intakeQuestionSchema]
+});
+
 const guildSchema = new mongoose.Schema({
   guild_id: { type: String, required: true, unique: true, index: true },
   name: String,
@@ -78,24 +167,372 @@ const guildSchema = new mongoose.Schema({
   staff_role_id: String,
   log_channel_id: String,
   is_default: { type: Boolean, default: false },
+  inactivity_close_hours: { type: Number, default: 0 },
+  inactivity_warning_hours: { type: Number, default: 0 },
+  anonymous_replies: { type: Boolean, default: false },
+  anonymous_name: String,
+  anonymous_icon_url: String,
+  ticket_categories: [ticketCategorySchema],
+  intake_questions: [intakeQuestionSchema],
+  // Template key -> embed; keys missing here fall back to MESSAGE_TEMPLATE_DEFAULTS.
+  message_templates: { type: Map, of: messageTemplateSchema, default: {} },
+  business_hours: { type: businessHoursSchema, default: () => ({}) },
+  escalation_role_id: String,
+  escalation_minutes: { type: Number, default: 0 },
+  trash_retention_days: { type: Number, default: DEFAULT_TRASH_RETENTION_DAYS },
+  reopen_grace_hours: { type: Number, default: 0 },
   created_at: { type: Date, default: Date.now }
 });
 
 const blockedUserSchema = new mongoose.Schema({
-  user_id: { type: String, required: true, unique: true },
+  user_id: { type: String, required: true, index: true },
+  guild_id: { type: String, required: true, index: true },
   blocked_at: { type: Date, default: Date.now },
   blocked_by: String,
-  reason: String
+  reason: String,
+  expires_at: Date,
+  active: { type: Boolean, default: true, index: true },
+  lifted_at: Date,
+  lifted_by: String
+});
+
+const snippetSchema = new mongoose.Schema({
+  guild_id: { type: String, required: true, index: true },
+  name: { type: String, required: true },
+  content: { type: String, required: true },
+  created_by: String,
+  updated_by: String,
+  uses: { type: Number, default: 0 },
+  last_used_at: Date,
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now }
+});
+
+const auditLogSchema = new mongoose.Schema({
+  guild_id: { type: String, index: true },
+  action: { type: String, required: true, index: true },
+  actor_id: { type: String, index: true },
+  ticket_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Ticket' },
+  target_user_id: String,
+  details: mongoose.Schema.Types.Mixed,
+  created_at: { type: Date, default: Date.now, index: true }
+});
+
+// Remembers which server a user in several ModMail servers last chose to contact.
+const userPreferenceSchema = new mongoose.Schema({
+  user_id: { type: String, required: true, unique: true },
+  last_guild_id: String,
+  updated_at: { type: Date, default: Date.now }
 });
 
 ticketSchema.index({ user_id: 1, status: 1 });
+// One open conversation per user per server; users may have open tickets in several servers at once.
+ticketSchema.index({ user_id: 1, guild_id: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+ticketSchema.index({ guild_id: 1, status: 1, last_activity_at: 1 });
+ticketSchema.index({ status: 1, scheduled_close_at: 1 });
+ticketSchema.index({ status: 1, deleted_at: 1 });
 messageSchema.index({ ticket_id: 1, timestamp: 1 });
+messageSchema.index({ content: 'text' });
+ticketSchema.index({ 'notes.content': 'text' });
+blockedUserSchema.index({ guild_id: 1, user_id: 1, active: 1 });
+snippetSchema.index({ guild_id: 1, name: 1 }, { unique: true });
+auditLogSchema.index({ guild_id: 1, created_at: -1 });
 
 const Ticket = mongoose.model('Ticket', ticketSchema);
 const Message = mongoose.model('Message', messageSchema);
 const Setting = mongoose.model('Setting', settingSchema);
 const GuildSetting = mongoose.model('GuildSetting', guildSchema);
 const BlockedUser = mongoose.model('BlockedUser', blockedUserSchema);
+const Snippet = mongoose.model('Snippet', snippetSchema);
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+const UserPreference = mongoose.model('UserPreference', userPreferenceSchema);
+
+const DURATION_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+function parseDuration(input) {
+  if (!input) return null;
+  const value = String(input).trim().toLowerCase();
+  if (!/^(\d+\s*[smhdw]\s*)+$/.test(value)) return null;
+
+  let total = 0;
+  for (const [, amount, unit] of value.matchAll(/(\d+)\s*([smhdw])/g)) {
+    total += parseInt(amount) * DURATION_UNITS[unit];
+  }
+  return total > 0 ? total : null;
+}
+
+function activeBlockFilter(extra = {}) {
+  return {
+    ...extra,
+    active: true,
+    $or: [{ expires_at: null }, { expires_at: { $gt: new Date() } }]
+  };
+}
+
+async function findActiveBlock(userId, guildId) {
+  return BlockedUser.findOne(activeBlockFilter({ user_id: userId, guild_id: guildId }));
+}
+
+async function blockUser({ guildId, userId, actorId, reason, durationMs }) {
+  if (!guildId) return { error: 'guild_id required', status: 400 };
+  if (!userId || !/^\d{17,20}$/.test(userId)) return { error: 'A valid user ID is required', status: 400 };
+  if (userId === actorId) return { error: 'You cannot block yourself', status: 400 };
+
+  const expiresAt = durationMs ? new Date(Date.now() + durationMs) : null;
+
+  let block = await findActiveBlock(userId, guildId);
+  if (block) {
+    block.reason = reason || block.reason;
+    block.expires_at = expiresAt;
+    block.blocked_by = actorId;
+    block.blocked_at = new Date();
+  } else {
+    block = new BlockedUser({
+      user_id: userId,
+      guild_id: guildId,
+      blocked_by: actorId,
+      reason: reason || null,
+      expires_at: expiresAt
+    });
+  }
+  await block.save();
+
+  await logAction({
+    guildId,
+    action: 'user.block',
+    actorId,
+    targetUserId: userId,
+    details: { reason: block.reason, expires_at: block.expires_at }
+  });
+
+  return { block };
+}
+
+async function unblockUser({ guildId, userId, actorId, blockId }) {
+  const query = blockId ? { _id: blockId } : { user_id: userId, guild_id: guildId };
+  const block = await BlockedUser.findOne(activeBlockFilter(query));
+  if (!block) return { error: 'User is not blocked', status: 404 };
+
+  block.active = false;
+  block.lifted_at = new Date();
+  block.lifted_by = actorId;
+  await block.save();
+
+  await logAction({ guildId: block.guild_id, action: 'user.unblock', actorId, targetUserId: block.user_id });
+
+  return { block };
+}
+
+const SNIPPET_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+function validateSnippet({ name, content }) {
+  const normalizedName = String(name || '').trim().toLowerCase();
+  if (!SNIPPET_NAME_PATTERN.test(normalizedName)) {
+    return { error: 'Snippet name must be 1-32 characters of letters, numbers, - or _', status: 400 };
+  }
+  const value = String(content || '').trim();
+  if (!value) return { error: 'Snippet content required', status: 400 };
+  if (value.length > 4000) return { error: 'Snippet content must be 4000 characters or fewer', status: 400 };
+  return { name: normalizedName, content: value };
+}
+
+function fillSnippetPlaceholders(content, { user, guild, staffName, ticket }) {
+  const values = {
+    user: user ? (user.globalName || user.username) : 'there',
+    server: guild ? guild.name : 'the server',
+    staff: staffName || 'Staff',
+    ticket_id: ticket ? String(ticket._id) : ''
+  };
+  return content.replace(/\{(user|server|staff|ticket_id)\}/g, (match, key) => values[key]);
+}
+
+const TEMPLATE_COMMON_PLACEHOLDERS = ['user', 'user_id', 'server', 'ticket_id'];
+
+// User-facing embeds a server can customize. Messages sent before a server is known
+// (no configured servers, the server picker) are not templated.
+const MESSAGE_TEMPLATE_DEFAULTS = {
+  ticket_created: {
+    label: 'Ticket created',
+    placeholders: ['category', 'response_time'],
+    template: {
+      title: '✅ ModMail Ticket Created',
+      description: 'Your message has been sent to our staff team. We\'ll respond as soon as possible!',
+      color: '#00ff00',
+      fields: [
+        { name: '💬 Response Time', value: '{response_time}', inline: true },
+        { name: '📝 Ticket ID', value: '`{ticket_id}`', inline: true }
+      ],
+      footer: 'Reply here to continue the conversation'
+    }
+  },
+  ticket_reopened: {
+    label: 'Ticket reopened by a new message',
+    placeholders: [],
+    template: {
+      title: '🔄 Ticket Reopened',
+      description: 'Your previous ticket was closed recently, so we\'ve reopened it and passed your message on to staff.',
+      color: '#00ff00',
+      fields: [{ name: '📝 Ticket ID', value: '`{ticket_id}`', inline: true }]
+    }
+  },
+  staff_reopened: {
+    label: 'Ticket reopened by staff',
+    placeholders: [],
+    template: {
+      title: '🔄 Ticket Reopened',
+      description: 'Your ModMail ticket has been reopened by staff. Reply here to continue the conversation.',
+      color: '#00ff00',
+      fields: [{ name: 'Ticket ID', value: '`{ticket_id}`' }]
+    }
+  },
+  ticket_closed: {
+    label: 'Ticket closed',
+    placeholders: ['staff', 'reason'],
+    template: {
+      title: '🔒 Ticket Closed',
+      description: 'Your ModMail ticket has been closed by {staff}.',
+      color: '#e74c3c',
+      fields: [
+        { name: 'Ticket ID', value: '`{ticket_id}`' },
+        { name: 'Reason', value: '{reason}' }
+      ],
+      footer: 'Thank you for contacting us!'
+    }
+  },
+  close_scheduled: {
+    label: 'Close scheduled',
+    placeholders: ['closes_at', 'reason'],
+    template: {
+      title: '⏳ Ticket Closing Soon',
+      description: 'Your ModMail ticket will be closed {closes_at} unless you reply. Send a message here to keep it open.',
+      color: '#f39c12',
+      fields: [{ name: 'Ticket ID', value: '`{ticket_id}`' }]
+    }
+  },
+  inactivity_warning: {
+    label: 'Inactivity warning',
+    placeholders: ['closes_at'],
+    template: {
+      title: '⏰ Ticket Inactive',
+      description: 'Your ModMail ticket has been inactive and will be closed {closes_at}. Reply here to keep it open.',
+      color: '#f39c12',
+      fields: [{ name: 'Ticket ID', value: '`{ticket_id}`' }]
+    }
+  },
+  blocked: {
+    label: 'User is blocked',
+    placeholders: ['reason', 'expires'],
+    template: {
+      title: '❌ Access Denied',
+      description: 'You are blocked from using ModMail.',
+      color: '#ff0000',
+      fields: [
+        { name: 'Reason', value: '{reason}' },
+        { name: 'Expires', value: '{expires}' }
+      ]
+    }
+  },
+  category_timeout: {
+    label: 'Category selection timed out',
+    placeholders: [],
+    template: {
+      title: '⏰ Selection Timeout',
+      description: 'You took too long to select a category. Your message was not sent.\n\nPlease send another message and select a category within 60 seconds.',
+      color: '#ffaa00'
+    }
+  },
+  intake_timeout: {
+    label: 'Intake form timed out',
+    placeholders: [],
+    template: {
+      title: '⏰ Form Timeout',
+      description: 'You didn\'t fill in the form in time, so your message was not sent.\n\nPlease send another message to try again.',
+      color: '#ffaa00'
+    }
+  },
+  away: {
+    label: 'Away (outside business hours)',
+    placeholders: ['return_time'],
+    template: {
+      title: '🌙 We\'re Away Right Now',
+      description: 'Our staff team is currently offline. Your message has been received and we\'ll get back to you once we\'re back.',
+      color: '#5865f2',
+      fields: [{ name: '🕘 Back Online', value: '{return_time}' }]
+    }
+  },
+  ticket_error: {
+    label: 'Ticket could not be created',
+    placeholders: [],
+    template: {
+      title: '❌ Error',
+      description: 'Failed to create your ticket. Please try again later or contact an administrator.',
+      color: '#ff0000'
+    }
+  }
+};
+
+const TEMPLATE_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+function fillTemplatePlaceholders(text, values) {
+  return String(text || '').replace(/\{([a-z_]+)\}/g, (match, key) => (key in values ? values[key] : match));
+}
+
+function getMessageTemplate(guildConfig, key) {
+  const templates = guildConfig?.message_templates;
+  const custom = templates instanceof Map ? templates.get(key) : templates?.[key];
+  return custom || MESSAGE_TEMPLATE_DEFAULTS[key].template;
+}
+
+// Fields whose name or value is empty after filling placeholders are left out, so an optional
+// value such as {reason} can sit in its own field. Long placeholder values are clamped so the
+// embed stays within Discord's total length limit.
+function buildTemplateEmbed(template, values) {
+  const fill = (text) => fillTemplatePlaceholders(text, values).trim();
+  let remaining = EMBED_MAX_TOTAL_LENGTH;
+  const clamp = (text, max) => {
+    const clamped = text.substring(0, Math.min(max, remaining));
+    remaining -= clamped.length;
+    return clamped;
+  };
+  const embed = new EmbedBuilder()
+    .setColor(TEMPLATE_COLOR_PATTERN.test(template.color || '') ? parseInt(template.color.slice(1), 16) : 0x5865f2)
+    .setTimestamp();
+
+  const title = clamp(fill(template.title), 256);
+  if (title) embed.setTitle(title);
+  // Reserve room for the footer before the description and fields use up the budget.
+  const footer = fill(template.footer).substring(0, 2048);
+  remaining -= footer.length;
+  const description = clamp(fill(template.description), 4096);
+  if (description) embed.setDescription(description);
+  for (const field of template.fields || []) {
+    const name = fill(field.name);
+    const value = fill(field.value);
+    if (!name || !value || remaining < 2) continue;
+    embed.addFields({ name: clamp(name, 256), value: clamp(value, 1024), inline: !!field.inline });
+  }
+  if (footer) embed.setFooter({ text: footer });
+  const image = fill(template.image);
+  if (/^https:\/\//.test(image)) embed.setImage(image);
+  return embed;
+}
+
+function renderMessageTemplate(guildConfig, key, { user = null, ticket = null, ...values } = {}) {
+  const guild = guildConfig ? client.guilds.cache.get(guildConfig.guild_id) : null;
+  return buildTemplateEmbed(getMessageTemplate(guildConfig, key), {
+    user: user ? (user.globalName || user.username) : 'there',
+    user_id: user?.id || ticket?.user_id || '',
+    server: guildConfig?.name || guild?.name || 'the server',
+    ticket_id: ticket ? String(ticket._id) : '',
+    ...values
+  });
+}
 
 const client = new Client({
   intents: [
@@ -130,6 +567,18 @@ const loginLimiter = rateLimit({
   }
 });
 
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 8 * 1024 * 1024, files: 5 }
+});
+
+function uploadReplyFiles(req, res, next) {
+  upload.array('files', 5)(req, res, (err) => {
+    if (err) return res.status(400).json({ error: `Upload failed: ${err.message}` });
+    next();
+  });
+}
+
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, '../views'));
 
@@ -192,34 +641,12 @@ function isAuthenticated(req, res, next) {
   res.redirect('/login');
 }
 
-async function isStaff(req, res, next) {
-  if (!req.session.user) {
-    return res.redirect('/login');
-  }
-  
-  try {
-    const guild = client.guilds.cache.get(process.env.GUILD_ID);
-    if (!guild) {
-      return res.status(500).send('Guild not found');
-    }
+async function isAdminInGuild(guildId, userId) {
+  const guild = client.guilds.cache.get(guildId);
+  if (!guild) return false;
 
-    const member = await guild.members.fetch(req.session.user.id).catch(() => null);
-    
-    if (!member) {
-      return res.status(403).send('You are not a member of the server');
-    }
-    
-    if (member.roles.cache.has(process.env.STAFF_ROLE_ID) || 
-        member.permissions.has(PermissionFlagsBits.Administrator)) {
-      req.userRole = 'staff';
-      return next();
-    }
-    
-    res.status(403).send('Access denied. Staff role required.');
-  } catch (error) {
-    console.error('Error checking staff status:', error);
-    res.status(500).send('Error verifying permissions');
-  }
+  const member = await guild.members.fetch(userId).catch(() => null);
+  return !!member && member.permissions.has(PermissionFlagsBits.Administrator);
 }
 
 async function isStaffInGuild(guildId, userId) {
@@ -241,6 +668,93 @@ async function isStaffInGuild(guildId, userId) {
   }
 }
 
+// Names of the ticket categories in the guild whose staff role the user holds.
+async function getStaffCategoryNames(guildId, userId) {
+  try {
+    const guild = client.guilds.cache.get(guildId);
+    if (!guild) return [];
+
+    const guildSetting = await GuildSetting.findOne({ guild_id: guildId }).lean();
+    const categories = (guildSetting?.ticket_categories || []).filter(cat => cat.staff_role_id);
+    if (categories.length === 0) return [];
+
+    const member = await guild.members.fetch(userId).catch(() => null);
+    if (!member) return [];
+    return categories.filter(cat => member.roles.cache.has(cat.staff_role_id)).map(cat => cat.name);
+  } catch (error) {
+    console.error('Error checking category staff status:', error);
+    return [];
+  }
+}
+
+// Server staff, or a holder of the staff role of the ticket's own category. Category roles
+// grant access to their category's tickets only, never to server-wide staff tools.
+async function isStaffForTicket(ticket, userId) {
+  const guildId = ticket.guild_id || process.env.GUILD_ID;
+  if (await isStaffInGuild(guildId, userId)) return true;
+  if (!ticket.category) return false;
+  return (await getStaffCategoryNames(guildId, userId)).includes(ticket.category);
+}
+
+// Guild-aware route guard. The guild comes from the ticket in :id when `ticket` is set
+// (the document is left on req.ticket), otherwise from guild_id in the query or body;
+// `optional` lets a request without guild_id through for the handler to scope itself.
+// `categoryStaff` also admits category staff, leaving their category names on req.staffCategories.
+function requireGuildRole({ ticket = false, admin = false, optional = false, categoryStaff = false, deniedMessage = null } = {}) {
+  return async (req, res, next) => {
+    try {
+      const userId = req.session.user.id;
+      let guildId;
+
+      if (ticket) {
+        const doc = mongoose.isValidObjectId(req.params.id) ? await Ticket.findById(req.params.id) : null;
+        if (!doc) return res.status(404).json({ error: 'Ticket not found' });
+        guildId = doc.guild_id || process.env.GUILD_ID;
+        // Trashed tickets stay invisible to everyone but admins, as on the ticket page.
+        if (doc.status === 'deleted' && !admin && !await isAdminInGuild(guildId, userId)) {
+          return res.status(404).json({ error: 'Ticket not found' });
+        }
+        req.ticket = doc;
+      } else {
+        guildId = req.query.guild_id || req.body?.guild_id;
+        if (!guildId && optional) return next();
+        if (!guildId) return res.status(400).json({ error: 'guild_id required' });
+      }
+
+      let allowed;
+      if (admin) {
+        allowed = await isAdminInGuild(guildId, userId);
+      } else {
+        allowed = req.ticket ? await isStaffForTicket(req.ticket, userId) : await isStaffInGuild(guildId, userId);
+        if (!allowed && categoryStaff && !req.ticket) {
+          const categories = await getStaffCategoryNames(guildId, userId);
+          if (categories.length > 0) {
+            req.staffCategories = categories;
+            allowed = true;
+          }
+        }
+      }
+      if (!allowed) {
+        return res.status(403).json({ error: deniedMessage || (admin ? 'Administrator permission required in this guild' : 'Staff role required in this guild') });
+      }
+
+      req.guildId = guildId;
+      next();
+    } catch (error) {
+      console.error('Error checking guild permissions:', error);
+      res.status(500).json({ error: 'Error verifying permissions' });
+    }
+  };
+}
+
+async function getStaffGuildIds(userId) {
+  const guildIds = [];
+  for (const guildId of client.guilds.cache.keys()) {
+    if (await isStaffInGuild(guildId, userId)) guildIds.push(guildId);
+  }
+  return guildIds;
+}
+
 function userDashboard(req, res, next) {
   if (req.session.user) {
     req.userRole = 'user';
@@ -301,7 +815,7 @@ app.get('/callback', async (req, res) => {
 
 app.get('/dashboard', isAuthenticated, async (req, res) => {
   try {
-    const userGuilds = { staff: [], admin: [] };
+    const userGuilds = { staff: [], admin: [], categories: {} };
     
     try {
       const configured = await GuildSetting.find().lean().catch(() => []);
@@ -316,6 +830,11 @@ app.get('/dashboard', isAuthenticated, async (req, res) => {
               userGuilds.admin.push(cfg.guild_id);
             } else if (cfg.staff_role_id && member.roles.cache.has(cfg.staff_role_id)) {
               userGuilds.staff.push(cfg.guild_id);
+            } else {
+              const categoryNames = (cfg.ticket_categories || [])
+                .filter(cat => cat.staff_role_id && member.roles.cache.has(cat.staff_role_id))
+                .map(cat => cat.name);
+              if (categoryNames.length > 0) userGuilds.categories[cfg.guild_id] = categoryNames;
             }
           }
         } catch (e) {
@@ -328,10 +847,15 @@ app.get('/dashboard', isAuthenticated, async (req, res) => {
     const allUserGuilds = [...userGuilds.admin, ...userGuilds.staff];
     const isUserStaff = allUserGuilds.length > 0;
     const isUserAdmin = userGuilds.admin.length > 0;
+    // Category staff see the tickets of their own categories alongside any server-wide staff guilds.
+    const categoryScopes = Object.entries(userGuilds.categories).map(([guildId, names]) => ({ guild_id: guildId, category: { $in: names } }));
+    const ticketScope = categoryScopes.length > 0
+      ? { $or: [{ guild_id: { $in: allUserGuilds } }, ...categoryScopes] }
+      : { guild_id: { $in: allUserGuilds } };
     
     let openTickets, closedTickets, stats;
     
-    if (!isUserStaff) {
+    if (!isUserStaff && categoryScopes.length === 0) {
       openTickets = await Ticket.find({ user_id: req.session.user.id, status: 'open' })
         .sort({ created_at: -1 })
         .limit(10)
@@ -343,35 +867,34 @@ app.get('/dashboard', isAuthenticated, async (req, res) => {
         .lean();
       
       stats = {
-        total: await Ticket.countDocuments({ user_id: req.session.user.id }),
+        total: await Ticket.countDocuments({ user_id: req.session.user.id, status: { $ne: 'deleted' } }),
         open: openTickets.length,
         closed: await Ticket.countDocuments({ user_id: req.session.user.id, status: 'closed' }),
         today: await Ticket.countDocuments({ 
           user_id: req.session.user.id,
+          status: { $ne: 'deleted' },
           created_at: { $gte: new Date(new Date().setHours(0, 0, 0, 0)) } 
         }),
         claimed: 0
       };
     } else {
-      openTickets = await Ticket.find({ guild_id: { $in: allUserGuilds }, status: 'open' })
-        .sort({ created_at: -1 })
-        .limit(20)
-        .lean();
+      openTickets = await findTicketsSorted({ ...ticketScope, status: 'open' }, { sort: req.query.sort, limit: 20 });
       
-      closedTickets = await Ticket.find({ guild_id: { $in: allUserGuilds }, status: 'closed' })
+      closedTickets = await Ticket.find({ ...ticketScope, status: 'closed' })
         .sort({ closed_at: -1 })
         .limit(50)
         .lean();
       
       stats = {
-        total: await Ticket.countDocuments({ guild_id: { $in: allUserGuilds } }),
-        open: await Ticket.countDocuments({ guild_id: { $in: allUserGuilds }, status: 'open' }),
-        closed: await Ticket.countDocuments({ guild_id: { $in: allUserGuilds }, status: 'closed' }),
+        total: await Ticket.countDocuments({ ...ticketScope, status: { $ne: 'deleted' } }),
+        open: await Ticket.countDocuments({ ...ticketScope, status: 'open' }),
+        closed: await Ticket.countDocuments({ ...ticketScope, status: 'closed' }),
         today: await Ticket.countDocuments({ 
-          guild_id: { $in: allUserGuilds },
+          ...ticketScope,
+          status: { $ne: 'deleted' },
           created_at: { $gte: new Date(new Date().setHours(0, 0, 0, 0)) } 
         }),
-        claimed: await Ticket.countDocuments({ guild_id: { $in: allUserGuilds }, claimed_by: { $exists: true }, status: 'open' })
+        claimed: await Ticket.countDocuments({ ...ticketScope, claimed_by: { $exists: true }, status: 'open' })
       };
     }
 
@@ -411,7 +934,9 @@ app.get('/dashboard', isAuthenticated, async (req, res) => {
       closedTickets,
       stats,
       showAll: req.query.view === 'all',
+      sort: req.query.sort === 'priority' ? 'priority' : 'created',
       isStaff: isUserStaff,
+      isCategoryStaff: categoryScopes.length > 0,
       isAdmin: isUserAdmin,
       userRole: isUserAdmin ? 'admin' : (isUserStaff ? 'staff' : 'user'),
       userAdminGuilds: userGuilds.admin,
@@ -423,25 +948,93 @@ app.get('/dashboard', isAuthenticated, async (req, res) => {
   }
 });
 
+const USER_HISTORY_RECENT_TICKETS = 5;
+
+async function getUserHistory(userId, guildId, { excludeTicketId = null, limit = USER_HISTORY_RECENT_TICKETS } = {}) {
+  const query = { user_id: userId, guild_id: guildId, status: { $ne: 'deleted' } };
+  if (excludeTicketId) query._id = { $ne: excludeTicketId };
+
+  const [total, tickets, blocks] = await Promise.all([
+    Ticket.countDocuments(query),
+    Ticket.find(query, { status: 1, created_at: 1, closed_at: 1, close_reason: 1, category: 1, priority: 1 })
+      .sort({ created_at: -1 })
+      .limit(limit)
+      .lean(),
+    BlockedUser.find({ user_id: userId, guild_id: guildId }).sort({ blocked_at: -1 }).limit(10).lean()
+  ]);
+
+  let member = null;
+  const guild = client.guilds.cache.get(guildId);
+  const guildMember = guild ? await guild.members.fetch(userId).catch(() => null) : null;
+  if (guildMember) {
+    member = {
+      joined_at: guildMember.joinedAt,
+      roles: guildMember.roles.cache
+        .filter(role => role.id !== guild.id)
+        .sort((a, b) => b.position - a.position)
+        .map(role => ({ id: role.id, name: role.name, color: role.hexColor }))
+    };
+  }
+
+  const now = new Date();
+  return {
+    total,
+    tickets,
+    member,
+    blocks: blocks.map(block => ({
+      reason: block.reason,
+      blocked_at: block.blocked_at,
+      blocked_by: block.blocked_by,
+      expires_at: block.expires_at,
+      lifted_at: block.lifted_at,
+      active: block.active && (!block.expires_at || block.expires_at > now)
+    }))
+  };
+}
+
+function dashboardTicketUrl(ticketId) {
+  const base = (process.env.DASHBOARD_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+  return `${base}/ticket/${ticketId}`;
+}
+
+async function loadViewableTicket(ticketId, userId) {
+  const ticket = await Ticket.findById(ticketId).lean();
+  if (!ticket) return { error: 'Ticket not found', status: 404 };
+
+  const guildForTicket = ticket.guild_id || process.env.GUILD_ID;
+  // Trashed tickets are only visible to admins, who can restore them.
+  if (ticket.status === 'deleted' && !await isAdminInGuild(guildForTicket, userId)) {
+    return { error: 'Ticket not found', status: 404 };
+  }
+
+  const isUserStaff = await isStaffForTicket(ticket, userId);
+  if (!isUserStaff && ticket.user_id !== userId) {
+    return { error: 'You do not have permission to view this ticket', status: 403 };
+  }
+
+  return { ticket, isStaff: isUserStaff };
+}
+
 app.get('/ticket/:id', isAuthenticated, async (req, res) => {
   try {
-    const ticket = await Ticket.findById(req.params.id).lean();
-    
-    if (!ticket) {
-      return res.status(404).send('Ticket not found');
+    const access = await loadViewableTicket(req.params.id, req.session.user.id);
+    if (access.error) {
+      return res.status(access.status).send(access.error);
     }
 
-    const guildForTicket = ticket.guild_id || process.env.GUILD_ID;
-    const isUserStaff = await isStaffInGuild(guildForTicket, req.session.user.id);
-    if (!isUserStaff && ticket.user_id !== req.session.user.id) {
-      return res.status(403).send('You do not have permission to view this ticket');
-    }
+    const { ticket, isStaff: isUserStaff } = access;
 
     const messages = await Message.find({ ticket_id: ticket._id })
       .sort({ timestamp: 1 })
       .lean();
     
+    const anonymousIdentity = isUserStaff ? null : await resolveAnonymousIdentity(ticket.guild_id);
     for (let msg of messages) {
+      if (msg.is_anonymous && !isUserStaff) {
+        msg.user = anonymousIdentity;
+        msg.user_id = 'staff';
+        continue;
+      }
       try {
         const user = await client.users.fetch(msg.user_id);
         msg.user = {
@@ -469,11 +1062,15 @@ app.get('/ticket/:id', isAuthenticated, async (req, res) => {
       };
     }
 
+    const guildConfig = await GuildSetting.findOne({ guild_id: ticket.guild_id }).lean().catch(() => null);
+
     res.render('ticket', { 
       user: req.session.user, 
       ticket,
       messages,
-      isStaff: isUserStaff
+      isStaff: isUserStaff,
+      anonymousDefault: !!guildConfig?.anonymous_replies,
+      priorities: TICKET_PRIORITIES
     });
   } catch (error) {
     console.error('Ticket view error:', error);
@@ -481,41 +1078,48 @@ app.get('/ticket/:id', isAuthenticated, async (req, res) => {
   }
 });
 
-app.post('/api/ticket/:id/close', isAuthenticated, isStaff, async (req, res) => {
+app.get('/ticket/:id/transcript.html', isAuthenticated, async (req, res) => {
   try {
-    const ticket = await Ticket.findById(req.params.id);
-    
-    if (!ticket) {
-      return res.status(404).json({ error: 'Ticket not found' });
+    const access = await loadViewableTicket(req.params.id, req.session.user.id);
+    if (access.error) {
+      return res.status(access.status).send(access.error);
     }
 
-    if (ticket.status === 'closed') {
-      return res.status(400).json({ error: 'Ticket already closed' });
-    }
+    const transcript = await buildTranscript(access.ticket, { staffView: access.isStaff });
+    const html = await renderHtmlTranscript(transcript);
 
-    const channel = await client.channels.fetch(ticket.channel_id).catch(() => null);
-    
-    if (channel) {
-      await channel.delete('Ticket closed via dashboard');
-    }
-    
-    ticket.status = 'closed';
-    ticket.closed_at = new Date();
-    ticket.closed_by = req.session.user.id;
-    await ticket.save();
-    
-    try {
-      const user = await client.users.fetch(ticket.user_id);
-      const embed = new EmbedBuilder()
-        .setColor(0xe74c3c)
-        .setTitle('🔒 Ticket Closed')
-        .setDescription('Your ModMail ticket has been closed by staff.')
-        .setTimestamp();
-      await user.send({ embeds: [embed] });
-    } catch (err) {
-      console.error('Could not notify user:', err);
+    res.set('Content-Disposition', `attachment; filename="transcript-${access.ticket._id}.html"`);
+    res.type('html').send(html);
+  } catch (error) {
+    console.error('Transcript error:', error);
+    res.status(500).send('Error generating transcript');
+  }
+});
+
+app.get('/ticket/:id/transcript.txt', isAuthenticated, async (req, res) => {
+  try {
+    const access = await loadViewableTicket(req.params.id, req.session.user.id);
+    if (access.error) {
+      return res.status(access.status).send(access.error);
     }
 
+    const transcript = await buildTranscript(access.ticket, { staffView: access.isStaff });
+
+    res.set('Content-Disposition', `attachment; filename="transcript-${access.ticket._id}.txt"`);
+    res.type('text/plain').send(renderTextTranscript(transcript));
+  } catch (error) {
+    console.error('Transcript error:', error);
+    res.status(500).send('Error generating transcript');
+  }
+});
+
+app.post('/api/ticket/:id/close', isAuthenticated, requireGuildRole({ ticket: true }), async (req, res) => {
+  try {
+    const ticket = req.ticket;
+
+    const result = await closeTicket(ticket, req.session.user.id, { reason: req.body.reason });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
     res.json({ success: true });
   } catch (error) {
     console.error('Error closing ticket:', error);
@@ -523,12 +1127,43 @@ app.post('/api/ticket/:id/close', isAuthenticated, isStaff, async (req, res) =>
   }
 });
 
-app.post('/api/ticket/:id/delete', isAuthenticated, isStaff, async (req, res) => {
+app.post('/api/ticket/:id/schedule-close', isAuthenticated, requireGuildRole({ ticket: true }), async (req, res) => {
   try {
-    const ticket = await Ticket.findById(req.params.id);
-    
-    if (!ticket) {
-      return res.status(404).json({ error: 'Ticket not found' });
+    const ticket = req.ticket;
+
+    const result = await scheduleTicketClose(ticket, req.session.user.id, {
+      durationMs: parseDuration(req.body.duration),
+      reason: req.body.reason
+    });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    res.json({ success: true, scheduled_close_at: result.ticket.scheduled_close_at });
+  } catch (error) {
+    console.error('Error scheduling ticket close:', error);
+    res.status(500).json({ error: 'Failed to schedule close' });
+  }
+});
+
+app.post('/api/ticket/:id/cancel-scheduled-close', isAuthenticated, requireGuildRole({ ticket: true }), async (req, res) => {
+  try {
+    const ticket = req.ticket;
+
+    const result = await cancelScheduledClose(ticket, req.session.user.id);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error cancelling scheduled close:', error);
+    res.status(500).json({ error: 'Failed to cancel scheduled close' });
+  }
+});
+
+app.post('/api/ticket/:id/delete', isAuthenticated, requireGuildRole({ ticket: true }), async (req, res) => {
+  try {
+    const ticket = req.ticket;
+
+    if (ticket.status === 'deleted') {
+      return res.status(400).json({ error: 'Ticket is already in the trash' });
     }
 
     const channel = await client.channels.fetch(ticket.channel_id).catch(() => null);
@@ -537,9 +1172,25 @@ app.post('/api/ticket/:id/delete', isAuthenticated, isStaff, async (req, res) =>
       await channel.delete('Ticket deleted via dashboard');
     }
 
-    await Message.deleteMany({ ticket_id: ticket._id });
-    
-    await Ticket.findByIdAndDelete(req.params.id);
+    const previousStatus = ticket.status;
+    if (previousStatus === 'open') {
+      ticket.closed_at = new Date();
+      ticket.closed_by = req.session.user.id;
+    }
+    ticket.status = 'deleted';
+    ticket.deleted_at = new Date();
+    ticket.deleted_by = req.session.user.id;
+    ticket.scheduled_close_at = undefined;
+    await ticket.save();
+
+    await broadcastTicketEvent('ticket.deleted', ticket, { staffOnly: true });
+    await logAction({
+      guildId: ticket.guild_id,
+      action: 'ticket.delete',
+      actorId: req.session.user.id,
+      ticket,
+      details: { previous_status: previousStatus }
+    });
     
     res.json({ success: true });
   } catch (error) {
@@ -548,94 +1199,597 @@ app.post('/api/ticket/:id/delete', isAuthenticated, isStaff, async (req, res) =>
   }
 });
 
-app.post('/api/ticket/:id/claim', isAuthenticated, isStaff, async (req, res) => {
+app.post('/api/ticket/:id/reopen', isAuthenticated, requireGuildRole({ ticket: true }), async (req, res) => {
   try {
-    const ticket = await Ticket.findById(req.params.id);
-    
-    if (!ticket) {
-      return res.status(404).json({ error: 'Ticket not found' });
-    }
+    const ticket = req.ticket;
 
-    ticket.claimed_by = req.session.user.id;
-    ticket.claimed_at = new Date();
-    await ticket.save();
-    
-    res.json({ success: true });
+    const result = await reopenTicket(ticket, req.session.user.id);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    res.json({ success: true, channel_id: result.ticket.channel_id });
   } catch (error) {
-    console.error('Error claiming ticket:', error);
-    res.status(500).json({ error: 'Failed to claim ticket' });
+    console.error('Error reopening ticket:', error);
+    res.status(500).json({ error: 'Failed to reopen ticket' });
   }
 });
 
-app.post('/api/ticket/:id/note', isAuthenticated, isStaff, async (req, res) => {
+app.post('/api/ticket/:id/restore', isAuthenticated, requireGuildRole({ ticket: true, admin: true, deniedMessage: 'Only administrators can restore tickets' }), async (req, res) => {
   try {
-    const { content } = req.body;
-    
-    if (!content || content.trim().length === 0) {
-      return res.status(400).json({ error: 'Note content required' });
-    }
+    const ticket = req.ticket;
+    if (ticket.status !== 'deleted') return res.status(400).json({ error: 'Ticket is not in the trash' });
 
-    const ticket = await Ticket.findById(req.params.id);
-    
-    if (!ticket) {
-      return res.status(404).json({ error: 'Ticket not found' });
-    }
-
-    ticket.notes.push({
-      user_id: req.session.user.id,
-      content: content,
-      timestamp: new Date()
-    });
-    
+    // The channel was removed when the ticket was trashed, so it comes back as closed.
+    ticket.status = 'closed';
+    ticket.restored_at = new Date();
+    ticket.restored_by = req.session.user.id;
+    ticket.deleted_at = undefined;
+    ticket.deleted_by = undefined;
     await ticket.save();
+
+    await broadcastTicketEvent('ticket.updated', ticket, { staffOnly: true });
+    await logAction({ guildId: ticket.guild_id, action: 'ticket.restore', actorId: req.session.user.id, ticket });
+
     res.json({ success: true });
   } catch (error) {
-    console.error('Error adding note:', error);
-    res.status(500).json({ error: 'Failed to add note' });
+    console.error('Error restoring ticket:', error);
+    res.status(500).json({ error: 'Failed to restore ticket' });
   }
 });
 
-async function isAdmin(req, res, next) {
-  if (!req.session.user) {
-    return res.status(401).json({ error: 'Not authenticated' });
+app.post('/api/ticket/:id/purge', isAuthenticated, requireGuildRole({ ticket: true, admin: true, deniedMessage: 'Only administrators can permanently delete tickets' }), async (req, res) => {
+  try {
+    const ticket = req.ticket;
+    if (ticket.status !== 'deleted') {
+      return res.status(400).json({ error: 'Move the ticket to the trash before deleting it permanently' });
+    }
+
+    await purgeTicket(ticket, req.session.user.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error purging ticket:', error);
+    res.status(500).json({ error: 'Failed to permanently delete ticket' });
   }
+});
 
+app.get('/api/trash', isAuthenticated, requireGuildRole({ admin: true, deniedMessage: 'Only administrators can view the trash' }), async (req, res) => {
   try {
-    const mainGuild = client.guilds.cache.get(process.env.GUILD_ID);
-    if (mainGuild) {
-      const member = await mainGuild.members.fetch(req.session.user.id).catch(() => null);
-      if (member && member.permissions.has(PermissionFlagsBits.Administrator)) {
-        return next();
+    const guildId = req.guildId;
+
+    const cfg = await GuildSetting.findOne({ guild_id: guildId }).lean();
+    // lean() skips schema defaults, so configs saved before this setting existed have no value.
+    const retentionDays = cfg?.trash_retention_days ?? DEFAULT_TRASH_RETENTION_DAYS;
+
+    const tickets = await Ticket.find({ guild_id: guildId, status: 'deleted' }).sort({ deleted_at: -1 }).limit(200).lean();
+    for (const ticket of tickets) {
+      const user = await client.users.fetch(ticket.user_id).catch(() => null);
+      ticket.user = user ? { tag: user.tag, avatar: user.displayAvatarURL() } : { tag: 'Unknown User', avatar: null };
+      const deletedBy = ticket.deleted_by ? await client.users.fetch(ticket.deleted_by).catch(() => null) : null;
+      ticket.deleted_by_tag = deletedBy ? deletedBy.tag : ticket.deleted_by;
+      if (retentionDays > 0 && ticket.deleted_at) {
+        ticket.purge_at = new Date(new Date(ticket.deleted_at).getTime() + retentionDays * 24 * 60 * 60 * 1000);
       }
     }
 
-    const guilds = await GuildSetting.find().lean();
-    for (const cfg of guilds) {
-      const guild = client.guilds.cache.get(cfg.guild_id);
-      if (guild) {
-        const member = await guild.members.fetch(req.session.user.id).catch(() => null);
-        if (member && member.permissions.has(PermissionFlagsBits.Administrator)) {
-          return next();
-        }
-      }
-    }
+    res.json({ success: true, tickets, retention_days: retentionDays });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({ error: 'Failed to fetch trash' });
+  }
+});
 
-    return res.status(403).json({ error: 'Admin access required in at least one configured guild' });
+app.post('/api/ticket/:id/reply', isAuthenticated, requireGuildRole({ ticket: true }), uploadReplyFiles, async (req, res) => {
+  try {
+    const ticket = req.ticket;
+
+    const author = await client.users.fetch(req.session.user.id).catch(() => null);
+    if (!author) return res.status(500).json({ error: 'Could not resolve your Discord account' });
+
+    const result = await sendStaffReply(ticket, author, {
+      content: req.body.content || '',
+      files: (req.files || []).map(f => ({ name: f.originalname, buffer: f.buffer })),
+      anonymous: req.body.anonymous === 'true' || req.body.anonymous === true,
+      mirror: true
+    });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    res.json({ success: true, message: result.message });
   } catch (error) {
-    console.error('Error checking admin status:', error);
-    return res.status(500).json({ error: 'Failed to verify admin permissions' });
+    console.error('Error sending dashboard reply:', error);
+    res.status(500).json({ error: 'Failed to send reply' });
   }
-}
+});
 
-app.get('/api/servers', isAuthenticated, isAdmin, async (req, res) => {
+app.post('/api/ticket/:id/claim', isAuthenticated, requireGuildRole({ ticket: true }), async (req, res) => {
   try {
-    const allServers = await GuildSetting.find().sort({ created_at: -1 }).lean();
+    const ticket = req.ticket;
+
+    const result = await claimTicket(ticket, req.session.user.id);
+    if (result.error) return res.status(result.status).json({ error: result.error });
     
-    const userAdminServers = [];
-    for (const server of allServers) {
-      try {
-        const guild = client.guilds.cache.get(server.guild_id);
-        if (guild) {
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error claiming ticket:', error);
+    res.status(500).json({ error: 'Failed to claim ticket' });
+  }
+});
+
+app.post('/api/ticket/:id/unclaim', isAuthenticated, requireGuildRole({ ticket: true }), async (req, res) => {
+  try {
+    const ticket = req.ticket;
+
+    const result = await unclaimTicket(ticket, req.session.user.id);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error unclaiming ticket:', error);
+    res.status(500).json({ error: 'Failed to unclaim ticket' });
+  }
+});
+
+app.post('/api/ticket/:id/transfer', isAuthenticated, requireGuildRole({ ticket: true }), async (req, res) => {
+  try {
+    const ticket = req.ticket;
+
+    const result = await transferTicket(ticket, req.session.user.id, req.body.staff_id);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error transferring ticket:', error);
+    res.status(500).json({ error: 'Failed to transfer ticket' });
+  }
+});
+
+app.post('/api/ticket/:id/priority', isAuthenticated, requireGuildRole({ ticket: true }), async (req, res) => {
+  try {
+    const ticket = req.ticket;
+
+    const result = await setTicketPriority(ticket, req.session.user.id, req.body.priority);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error setting ticket priority:', error);
+    res.status(500).json({ error: 'Failed to set priority' });
+  }
+});
+
+app.post('/api/ticket/:id/category', isAuthenticated, requireGuildRole({ ticket: true }), async (req, res) => {
+  try {
+    const ticket = req.ticket;
+
+    const result = await setTicketCategory(ticket, req.session.user.id, req.body.category);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error setting ticket category:', error);
+    res.status(500).json({ error: 'Failed to set category' });
+  }
+});
+
+app.post('/api/ticket/:id/note', isAuthenticated, requireGuildRole({ ticket: true }), async (req, res) => {
+  try {
+    const ticket = req.ticket;
+
+    const result = await addTicketNote(ticket, req.session.user.id, req.body.content);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error adding note:', error);
+    res.status(500).json({ error: 'Failed to add note' });
+  }
+});
+
+app.post('/api/ticket/:id/rename', isAuthenticated, requireGuildRole({ ticket: true }), async (req, res) => {
+  try {
+    const ticket = req.ticket;
+
+    const result = await renameTicket(ticket, req.session.user.id, req.body.name);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    res.json({ success: true, channel_name: result.channel.name });
+  } catch (error) {
+    console.error('Error renaming ticket:', error);
+    res.status(500).json({ error: 'Failed to rename ticket' });
+  }
+});
+
+app.post('/api/ticket/:id/move', isAuthenticated, requireGuildRole({ ticket: true }), async (req, res) => {
+  try {
+    const ticket = req.ticket;
+
+    const result = await moveTicket(ticket, req.session.user.id, req.body.category_id);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error moving ticket:', error);
+    res.status(500).json({ error: 'Failed to move ticket' });
+  }
+});
+
+app.get('/api/blocks', isAuthenticated, async (req, res) => {
+  try {
+    const guildId = req.query.guild_id;
+    if (!guildId) return res.status(400).json({ error: 'guild_id required' });
+
+    if (!await isStaffInGuild(guildId, req.session.user.id)) {
+      return res.status(403).json({ error: 'You do not have permission to view blocks for this guild' });
+    }
+
+    const query = req.query.include_lifted === 'true'
+      ? { guild_id: guildId }
+      : activeBlockFilter({ guild_id: guildId });
+
+    const blocks = await BlockedUser.find(query).sort({ blocked_at: -1 }).limit(200).lean();
+
+    for (const block of blocks) {
+      const user = await client.users.fetch(block.user_id).catch(() => null);
+      block.user = user ? { tag: user.tag, avatar: user.displayAvatarURL() } : { tag: 'Unknown User', avatar: null };
+    }
+
+    res.json({ success: true, blocks });
+  } catch (error) {
+    console.error('Error fetching blocks:', error);
+    res.status(500).json({ error: 'Failed to fetch blocks' });
+  }
+});
+
+app.post('/api/blocks', isAuthenticated, async (req, res) => {
+  try {
+    const { guild_id, user_id, reason, duration } = req.body;
+    if (!guild_id) return res.status(400).json({ error: 'guild_id required' });
+
+    if (!await isStaffInGuild(guild_id, req.session.user.id)) {
+      return res.status(403).json({ error: 'You do not have permission to block users in this guild' });
+    }
+
+    let durationMs = null;
+    if (duration) {
+      durationMs = parseDuration(duration);
+      if (!durationMs) return res.status(400).json({ error: 'Invalid duration (use e.g. 30m, 12h, 7d)' });
+    }
+
+    const result = await blockUser({
+      guildId: guild_id,
+      userId: String(user_id || '').trim(),
+      actorId: req.session.user.id,
+      reason,
+      durationMs
+    });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    res.json({ success: true, block: result.block });
+  } catch (error) {
+    console.error('Error blocking user:', error);
+    res.status(500).json({ error: 'Failed to block user' });
+  }
+});
+
+app.delete('/api/blocks/:id', isAuthenticated, async (req, res) => {
+  try {
+    const block = await BlockedUser.findById(req.params.id).lean();
+    if (!block) return res.status(404).json({ error: 'Block not found' });
+
+    if (!await isStaffInGuild(block.guild_id, req.session.user.id)) {
+      return res.status(403).json({ error: 'You do not have permission to unblock users in this guild' });
+    }
+
+    const result = await unblockUser({ blockId: block._id, actorId: req.session.user.id });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    res.json({ success: true, block: result.block });
+  } catch (error) {
+    console.error('Error unblocking user:', error);
+    res.status(500).json({ error: 'Failed to unblock user' });
+  }
+});
+
+app.get('/api/snippets', isAuthenticated, async (req, res) => {
+  try {
+    const guildId = req.query.guild_id;
+    if (!guildId) return res.status(400).json({ error: 'guild_id required' });
+
+    if (!await isStaffInGuild(guildId, req.session.user.id)) {
+      return res.status(403).json({ error: 'You do not have permission to view snippets for this guild' });
+    }
+
+    const snippets = await Snippet.find({ guild_id: guildId }).sort({ name: 1 }).lean();
+    res.json({ success: true, snippets });
+  } catch (error) {
+    console.error('Error fetching snippets:', error);
+    res.status(500).json({ error: 'Failed to fetch snippets' });
+  }
+});
+
+app.post('/api/snippets', isAuthenticated, async (req, res) => {
+  try {
+    const { guild_id } = req.body;
+    if (!guild_id) return res.status(400).json({ error: 'guild_id required' });
+
+    if (!await isStaffInGuild(guild_id, req.session.user.id)) {
+      return res.status(403).json({ error: 'You do not have permission to manage snippets for this guild' });
+    }
+
+    const validated = validateSnippet(req.body);
+    if (validated.error) return res.status(validated.status).json({ error: validated.error });
+
+    const existing = await Snippet.findOne({ guild_id, name: validated.name });
+    if (existing) return res.status(400).json({ error: 'A snippet with that name already exists' });
+
+    const snippet = new Snippet({
+      guild_id,
+      name: validated.name,
+      content: validated.content,
+      created_by: req.session.user.id,
+      updated_by: req.session.user.id
+    });
+    await snippet.save();
+    res.json({ success: true, snippet });
+  } catch (error) {
+    console.error('Error creating snippet:', error);
+    res.status(500).json({ error: 'Failed to create snippet' });
+  }
+});
+
+app.put('/api/snippets/:id', isAuthenticated, async (req, res) => {
+  try {
+    const snippet = await Snippet.findById(req.params.id);
+    if (!snippet) return res.status(404).json({ error: 'Snippet not found' });
+
+    if (!await isStaffInGuild(snippet.guild_id, req.session.user.id)) {
+      return res.status(403).json({ error: 'You do not have permission to manage snippets for this guild' });
+    }
+
+    const validated = validateSnippet(req.body);
+    if (validated.error) return res.status(validated.status).json({ error: validated.error });
+
+    if (validated.name !== snippet.name) {
+      const existing = await Snippet.findOne({ guild_id: snippet.guild_id, name: validated.name });
+      if (existing) return res.status(400).json({ error: 'A snippet with that name already exists' });
+    }
+
+    snippet.name = validated.name;
+    snippet.content = validated.content;
+    snippet.updated_by = req.session.user.id;
+    snippet.updated_at = new Date();
+    await snippet.save();
+    res.json({ success: true, snippet });
+  } catch (error) {
+    console.error('Error updating snippet:', error);
+    res.status(500).json({ error: 'Failed to update snippet' });
+  }
+});
+
+app.delete('/api/snippets/:id', isAuthenticated, async (req, res) => {
+  try {
+    const snippet = await Snippet.findById(req.params.id);
+    if (!snippet) return res.status(404).json({ error: 'Snippet not found' });
+
+    if (!await isStaffInGuild(snippet.guild_id, req.session.user.id)) {
+      return res.status(403).json({ error: 'You do not have permission to manage snippets for this guild' });
+    }
+
+    await snippet.deleteOne();
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting snippet:', error);
+    res.status(500).json({ error: 'Failed to delete snippet' });
+  }
+});
+
+// ===== Live updates (Server-Sent Events) =====
+const liveClients = new Set();
+const LIVE_KEEPALIVE_MS = 25 * 1000;
+
+app.get('/api/events', isAuthenticated, async (req, res) => {
+  const userId = req.session.user.id;
+  const guildIds = new Set(await getStaffGuildIds(userId));
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const liveClient = { res, userId, guildIds };
+  liveClients.add(liveClient);
+  const keepalive = setInterval(() => res.write(': keepalive\n\n'), LIVE_KEEPALIVE_MS);
+
+  req.on('close', () => {
+    clearInterval(keepalive);
+    liveClients.delete(liveClient);
+  });
+});
+
+function serializeTicketForEvent(ticket) {
+  const user = client.users.cache.get(ticket.user_id);
+  return {
+    _id: String(ticket._id),
+    guild_id: ticket.guild_id,
+    user_id: ticket.user_id,
+    channel_id: ticket.channel_id,
+    status: ticket.status,
+    priority: ticket.priority,
+    category: ticket.category,
+    claimed_by: ticket.claimed_by,
+    created_at: ticket.created_at,
+    closed_at: ticket.closed_at,
+    close_reason: ticket.close_reason,
+    scheduled_close_at: ticket.scheduled_close_at,
+    user: user ? { tag: user.tag, avatar: user.displayAvatarURL() } : null
+  };
+}
+
+// Pushes an event to every connected session that may see the ticket: staff of its
+// guild get everything, the ticket's own user gets everything except staff-only events.
+async function broadcastTicketEvent(type, ticket, { message = null, staffOnly = false } = {}) {
+  if (liveClients.size === 0) return;
+
+  try {
+    const payload = { type, ticket: serializeTicketForEvent(ticket) };
+    let userPayload = payload;
+
+    if (message) {
+      const author = await client.users.fetch(message.user_id).catch(() => null);
+      payload.message = {
+        _id: String(message._id),
+        user_id: message.user_id,
+        content: message.content,
+        attachments: message.attachments,
+        timestamp: message.timestamp,
+        is_staff: message.is_staff,
+        is_anonymous: message.is_anonymous,
+        user: author ? { tag: author.tag, avatar: author.displayAvatarURL() } : null
+      };
+      if (message.is_anonymous) {
+        userPayload = { ...payload, message: { ...payload.message, user_id: 'staff', user: await resolveAnonymousIdentity(ticket.guild_id) } };
+      }
+    }
+
+    for (const liveClient of liveClients) {
+      if (liveClient.guildIds.has(ticket.guild_id)) {
+        liveClient.res.write(`data: ${JSON.stringify(payload)}\n\n`);
+      } else if (!staffOnly && liveClient.userId === ticket.user_id) {
+        liveClient.res.write(`data: ${JSON.stringify(userPayload)}\n\n`);
+      }
+    }
+  } catch (error) {
+    console.error(`Failed to broadcast ${type} event:`, error);
+  }
+}
+
+app.get('/api/users/:id/tickets', isAuthenticated, requireGuildRole({ deniedMessage: 'You do not have permission to view user history for this guild' }), async (req, res) => {
+  try {
+    const guildId = req.guildId;
+
+    const excludeTicketId = mongoose.isValidObjectId(req.query.exclude) ? req.query.exclude : null;
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || USER_HISTORY_RECENT_TICKETS));
+    const history = await getUserHistory(req.params.id, guildId, { excludeTicketId, limit });
+
+    const user = await client.users.fetch(req.params.id).catch(() => null);
+    history.user = user
+      ? { id: user.id, tag: user.tag, avatar: user.displayAvatarURL(), created_at: user.createdAt }
+      : { id: req.params.id, tag: 'Unknown User', avatar: null };
+
+    res.json({ success: true, ...history });
+  } catch (error) {
+    console.error('Error fetching user history:', error);
+    res.status(500).json({ error: 'Failed to fetch user history' });
+  }
+});
+
+// Builds a Mongo range condition from `from`/`to` query params; returns { range: null } when neither is set.
+function parseDateRange({ from, to }) {
+  if (!from && !to) return { range: null };
+
+  const range = {};
+  if (from) {
+    const fromDate = new Date(from);
+    if (isNaN(fromDate)) return { error: 'Invalid from date' };
+    range.$gte = fromDate;
+  }
+  if (to) {
+    const toDate = new Date(to);
+    if (isNaN(toDate)) return { error: 'Invalid to date' };
+    // A bare date means "through the end of that day".
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) toDate.setUTCHours(23, 59, 59, 999);
+    range.$lte = toDate;
+  }
+  return { range };
+}
+
+app.get('/api/audit-logs', isAuthenticated, requireGuildRole({ deniedMessage: 'You do not have permission to view the audit log for this guild' }), async (req, res) => {
+  try {
+    const guildId = req.guildId;
+
+    const query = { guild_id: guildId };
+    if (req.query.actor_id) query.actor_id = req.query.actor_id;
+    if (req.query.action) {
+      // Accept a prefix like "ticket" or "config" as well as a full action name.
+      query.action = req.query.action.includes('.') ? req.query.action : { $regex: `^${req.query.action.replace(/[^a-z_]/g, '')}\\.` };
+    }
+    const dateRange = parseDateRange(req.query);
+    if (dateRange.error) return res.status(400).json({ error: dateRange.error });
+    if (dateRange.range) query.created_at = dateRange.range;
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 25));
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query).sort({ created_at: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      AuditLog.countDocuments(query)
+    ]);
+
+    const userCache = new Map();
+    const resolveUser = async (id) => {
+      if (!id) return null;
+      if (!userCache.has(id)) {
+        const user = await client.users.fetch(id).catch(() => null);
+        userCache.set(id, user ? { id, tag: user.tag, avatar: user.displayAvatarURL() } : { id, tag: 'Unknown User', avatar: null });
+      }
+      return userCache.get(id);
+    };
+
+    for (const entry of entries) {
+      entry.actor = await resolveUser(entry.actor_id);
+      entry.target_user = await resolveUser(entry.target_user_id);
+    }
+
+    res.json({ success: true, entries, total, page, limit, actions: Object.keys(AUDIT_ACTIONS) });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+async function isAdmin(req, res, next) {
+  if (!req.session.user) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    const mainGuild = client.guilds.cache.get(process.env.GUILD_ID);
+    if (mainGuild) {
+      const member = await mainGuild.members.fetch(req.session.user.id).catch(() => null);
+      if (member && member.permissions.has(PermissionFlagsBits.Administrator)) {
+        return next();
+      }
+    }
+
+    const guilds = await GuildSetting.find().lean();
+    for (const cfg of guilds) {
+      const guild = client.guilds.cache.get(cfg.guild_id);
+      if (guild) {
+        const member = await guild.members.fetch(req.session.user.id).catch(() => null);
+        if (member && member.permissions.has(PermissionFlagsBits.Administrator)) {
+          return next();
+        }
+      }
+    }
+
+    return res.status(403).json({ error: 'Admin access required in at least one configured guild' });
+  } catch (error) {
+    console.error('Error checking admin status:', error);
+    return res.status(500).json({ error: 'Failed to verify admin permissions' });
+  }
+}
+
+app.get('/api/servers', isAuthenticated, isAdmin, async (req, res) => {
+  try {
+    const allServers = await GuildSetting.find().sort({ created_at: -1 }).lean();
+    
+    const userAdminServers = [];
+    for (const server of allServers) {
+      try {
+        const guild = client.guilds.cache.get(server.guild_id);
+        if (guild) {
           const member = await guild.members.fetch(req.session.user.id).catch(() => null);
           if (member && member.permissions.has(PermissionFlagsBits.Administrator)) {
             userAdminServers.push(server);
@@ -692,6 +1846,7 @@ app.post('/api/servers', isAuthenticated, isAdmin, async (req, res) => {
 
     const server = new GuildSetting({ guild_id, name, modmail_category_id, staff_role_id, log_channel_id, is_default: !!is_default });
     await server.save();
+    await logAction({ guildId: guild_id, action: 'config.create', actorId: req.session.user.id, details: { name, modmail_category_id, staff_role_id, log_channel_id } });
     res.json({ success: true, server });
   } catch (error) {
     console.error('Error creating server:', error);
@@ -702,9 +1857,10 @@ app.post('/api/servers', isAuthenticated, isAdmin, async (req, res) => {
 app.put('/api/servers/:id', isAuthenticated, isAdmin, async (req, res) => {
   try {
     const id = req.params.id;
-    const { name, modmail_category_id, staff_role_id, log_channel_id, is_default } = req.body;
+    const { name, modmail_category_id, staff_role_id, log_channel_id, is_default, inactivity_close_hours, inactivity_warning_hours, anonymous_replies, anonymous_name, anonymous_icon_url, escalation_role_id, escalation_minutes, trash_retention_days, reopen_grace_hours, intake_questions, business_hours } = req.body;
     const serverDoc = await GuildSetting.findById(id);
     if (!serverDoc) return res.status(404).json({ error: 'Server not found' });
+    const before = serverDoc.toObject();
 
     const guildId = serverDoc.guild_id;
     let guild = null;
@@ -733,6 +1889,45 @@ app.put('/api/servers/:id', isAuthenticated, isAdmin, async (req, res) => {
       if (!channel || channel.type !== ChannelType.GuildCategory) return res.status(400).json({ error: 'modmail_category_id is not a category channel in the guild' });
     }
 
+    const inactivityClose = Number(inactivity_close_hours) || 0;
+    const inactivityWarning = Number(inactivity_warning_hours) || 0;
+    if (inactivityClose < 0 || inactivityWarning < 0) {
+      return res.status(400).json({ error: 'Inactivity hours cannot be negative' });
+    }
+    if (inactivityClose > 0 && inactivityWarning >= inactivityClose) {
+      return res.status(400).json({ error: 'inactivity_warning_hours must be less than inactivity_close_hours' });
+    }
+
+    if (anonymous_name && anonymous_name.length > 80) {
+      return res.status(400).json({ error: 'anonymous_name must be 80 characters or fewer' });
+    }
+    if (anonymous_icon_url && !/^https:\/\//.test(anonymous_icon_url)) {
+      return res.status(400).json({ error: 'anonymous_icon_url must be an https URL' });
+    }
+
+    const trashRetentionDays = trash_retention_days === undefined || trash_retention_days === ''
+      ? serverDoc.trash_retention_days
+      : Number(trash_retention_days);
+    if (!Number.isFinite(trashRetentionDays) || trashRetentionDays < 0) {
+      return res.status(400).json({ error: 'trash_retention_days must be 0 or more' });
+    }
+
+    const reopenGraceHours = Number(reopen_grace_hours) || 0;
+    if (reopenGraceHours < 0) return res.status(400).json({ error: 'reopen_grace_hours cannot be negative' });
+
+    const escalationMinutes = Number(escalation_minutes) || 0;
+    if (escalationMinutes < 0) return res.status(400).json({ error: 'escalation_minutes cannot be negative' });
+
+    const intake = validateIntakeQuestions(intake_questions);
+    if (intake.error) return res.status(400).json({ error: intake.error });
+
+    const hours = validateBusinessHours(business_hours);
+    if (hours.error) return res.status(400).json({ error: hours.error });
+    if (escalation_role_id) {
+      const role = guild.roles.cache.get(escalation_role_id) || await guild.roles.fetch(escalation_role_id).catch(() => null);
+      if (!role) return res.status(400).json({ error: 'escalation_role_id not found in guild' });
+    }
+
     if (is_default) {
       await GuildSetting.updateMany({}, { $set: { is_default: false } });
     }
@@ -742,7 +1937,31 @@ app.put('/api/servers/:id', isAuthenticated, isAdmin, async (req, res) => {
     serverDoc.staff_role_id = staff_role_id;
     serverDoc.log_channel_id = log_channel_id;
     serverDoc.is_default = !!is_default;
+    serverDoc.inactivity_close_hours = inactivityClose;
+    serverDoc.inactivity_warning_hours = inactivityWarning;
+    serverDoc.anonymous_replies = !!anonymous_replies;
+    serverDoc.anonymous_name = anonymous_name || undefined;
+    serverDoc.anonymous_icon_url = anonymous_icon_url || undefined;
+    serverDoc.escalation_role_id = escalation_role_id || undefined;
+    serverDoc.escalation_minutes = escalationMinutes;
+    serverDoc.trash_retention_days = trashRetentionDays;
+    serverDoc.reopen_grace_hours = reopenGraceHours;
+    // Assigning an array always marks it modified, so only do so when the questions changed.
+    if (JSON.stringify(before.intake_questions || []) !== JSON.stringify(intake.questions)) {
+      serverDoc.intake_questions = intake.questions;
+    }
+    if (JSON.stringify(before.business_hours || {}) !== JSON.stringify(hours.businessHours)) {
+      serverDoc.business_hours = hours.businessHours;
+    }
+
+    const changes = {};
+    for (const path of serverDoc.modifiedPaths()) {
+      changes[path] = { from: before[path] ?? null, to: serverDoc.get(path) ?? null };
+    }
     await serverDoc.save();
+    if (Object.keys(changes).length > 0) {
+      await logAction({ guildId, action: 'config.update', actorId: req.session.user.id, details: changes });
+    }
     res.json({ success: true, server: serverDoc });
   } catch (error) {
     console.error('Error updating server:', error);
@@ -750,11 +1969,252 @@ app.put('/api/servers/:id', isAuthenticated, isAdmin, async (req, res) => {
   }
 });
 
-app.delete('/api/servers/:id', isAuthenticated, isAdmin, async (req, res) => {
-  try {
-    const id = req.params.id;
-    const server = await GuildSetting.findByIdAndDelete(id);
+async function loadAdminServer(serverId, userId) {
+  const serverDoc = await GuildSetting.findById(serverId).catch(() => null);
+  if (!serverDoc) return { error: 'Server not found', status: 404 };
+
+  const guild = await client.guilds.fetch(serverDoc.guild_id).catch(() => null);
+  if (!guild) return { error: 'Configured guild for this server is not available to the bot', status: 400 };
+
+  const member = await guild.members.fetch(userId).catch(() => null);
+  if (!member || !member.permissions.has(PermissionFlagsBits.Administrator)) {
+    return { error: 'You must be an administrator in the target guild to update its configuration', status: 403 };
+  }
+
+  return { serverDoc, guild };
+}
+
+function validateIntakeQuestions(input) {
+  if (input === undefined || input === null) return { questions: [] };
+  if (!Array.isArray(input)) return { error: 'intake_questions must be a list' };
+  if (input.length > INTAKE_MAX_QUESTIONS) return { error: `At most ${INTAKE_MAX_QUESTIONS} intake questions are allowed` };
+
+  const questions = [];
+  for (const item of input) {
+    const label = String(item?.label || '').trim();
+    const placeholder = String(item?.placeholder || '').trim();
+    const style = item?.style || 'short';
+    if (!label) return { error: 'Every intake question needs a label' };
+    if (label.length > INTAKE_LABEL_MAX_LENGTH) return { error: `Intake question labels must be ${INTAKE_LABEL_MAX_LENGTH} characters or fewer` };
+    if (placeholder.length > 100) return { error: 'Intake question placeholders must be 100 characters or fewer' };
+    if (!INTAKE_STYLES.includes(style)) return { error: `Intake question style must be one of: ${INTAKE_STYLES.join(', ')}` };
+    questions.push({ label, placeholder: placeholder || undefined, style, required: item.required !== false });
+  }
+  return { questions };
+}
+
+async function validateTicketCategory(guild, body) {
+  const name = (body.name || '').trim();
+  if (!name) return { error: 'Category name required' };
+  if (name.length > 100) return { error: 'Category name must be 100 characters or fewer' };
+  if (body.description && body.description.length > 100) return { error: 'Description must be 100 characters or fewer' };
+  if (body.greeting && body.greeting.length > 2000) return { error: 'Greeting must be 2000 characters or fewer' };
+
+  if (body.parent_channel_id) {
+    const channel = guild.channels.cache.get(body.parent_channel_id) || await guild.channels.fetch(body.parent_channel_id).catch(() => null);
+    if (!channel || channel.type !== ChannelType.GuildCategory) return { error: 'parent_channel_id is not a category channel in the guild' };
+  }
+
+  if (body.staff_role_id) {
+    const role = guild.roles.cache.get(body.staff_role_id) || await guild.roles.fetch(body.staff_role_id).catch(() => null);
+    if (!role) return { error: 'staff_role_id not found in guild' };
+  }
+
+  const intake = validateIntakeQuestions(body.intake_questions);
+  if (intake.error) return { error: intake.error };
+
+  return {
+    category: {
+      name,
+      emoji: (body.emoji || '').trim() || undefined,
+      description: (body.description || '').trim() || undefined,
+      parent_channel_id: body.parent_channel_id || undefined,
+      staff_role_id: body.staff_role_id || undefined,
+      greeting: (body.greeting || '').trim() || undefined,
+      intake_questions: intake.questions
+    }
+  };
+}
+
+app.post('/api/servers/:id/categories', isAuthenticated, isAdmin, async (req, res) => {
+  try {
+    const { serverDoc, guild, error, status } = await loadAdminServer(req.params.id, req.session.user.id);
+    if (error) return res.status(status).json({ error });
+
+    if (serverDoc.ticket_categories.length >= 25) {
+      return res.status(400).json({ error: 'A server can have at most 25 ticket categories' });
+    }
+
+    const result = await validateTicketCategory(guild, req.body);
+    if (result.error) return res.status(400).json({ error: result.error });
+    if (serverDoc.ticket_categories.some(cat => cat.name.toLowerCase() === result.category.name.toLowerCase())) {
+      return res.status(400).json({ error: 'A category with that name already exists' });
+    }
+
+    serverDoc.ticket_categories.push(result.category);
+    await serverDoc.save();
+    await logAction({ guildId: serverDoc.guild_id, action: 'config.category_create', actorId: req.session.user.id, details: result.category });
+    res.json({ success: true, server: serverDoc });
+  } catch (error) {
+    console.error('Error creating ticket category:', error);
+    res.status(500).json({ error: 'Failed to create category' });
+  }
+});
+
+app.put('/api/servers/:id/categories/:categoryId', isAuthenticated, isAdmin, async (req, res) => {
+  try {
+    const { serverDoc, guild, error, status } = await loadAdminServer(req.params.id, req.session.user.id);
+    if (error) return res.status(status).json({ error });
+
+    const category = serverDoc.ticket_categories.id(req.params.categoryId);
+    if (!category) return res.status(404).json({ error: 'Category not found' });
+
+    const result = await validateTicketCategory(guild, req.body);
+    if (result.error) return res.status(400).json({ error: result.error });
+    if (serverDoc.ticket_categories.some(cat => !cat._id.equals(category._id) && cat.name.toLowerCase() === result.category.name.toLowerCase())) {
+      return res.status(400).json({ error: 'A category with that name already exists' });
+    }
+
+    const previousName = category.name;
+    category.set(result.category);
+    await serverDoc.save();
+    await logAction({ guildId: serverDoc.guild_id, action: 'config.category_update', actorId: req.session.user.id, details: { previous_name: previousName, ...result.category } });
+    res.json({ success: true, server: serverDoc });
+  } catch (error) {
+    console.error('Error updating ticket category:', error);
+    res.status(500).json({ error: 'Failed to update category' });
+  }
+});
+
+app.delete('/api/servers/:id/categories/:categoryId', isAuthenticated, isAdmin, async (req, res) => {
+  try {
+    const { serverDoc, error, status } = await loadAdminServer(req.params.id, req.session.user.id);
+    if (error) return res.status(status).json({ error });
+
+    const category = serverDoc.ticket_categories.id(req.params.categoryId);
+    if (!category) return res.status(404).json({ error: 'Category not found' });
+
+    category.deleteOne();
+    await serverDoc.save();
+    await logAction({ guildId: serverDoc.guild_id, action: 'config.category_delete', actorId: req.session.user.id, details: { name: category.name } });
+    res.json({ success: true, server: serverDoc });
+  } catch (error) {
+    console.error('Error deleting ticket category:', error);
+    res.status(500).json({ error: 'Failed to delete category' });
+  }
+});
+
+const TEMPLATE_MAX_FIELDS = 10;
+// Leaves headroom below the embed limit for placeholders such as {reason} that expand when sent.
+const TEMPLATE_MAX_TOTAL_LENGTH = 5500;
+
+function validateMessageTemplate(body) {
+  const text = (value) => String(value ?? '').trim();
+  const template = {
+    title: text(body.title),
+    description: text(body.description),
+    color: text(body.color) || '#5865f2',
+    footer: text(body.footer),
+    image: text(body.image)
+  };
+
+  if (!template.title && !template.description) return { error: 'A template needs a title or a description' };
+  if (template.title.length > 256) return { error: 'Title must be 256 characters or fewer' };
+  if (template.description.length > 4096) return { error: 'Description must be 4096 characters or fewer' };
+  if (template.footer.length > 2048) return { error: 'Footer must be 2048 characters or fewer' };
+  if (!TEMPLATE_COLOR_PATTERN.test(template.color)) return { error: 'Color must be a hex color like #5865f2' };
+  if (template.image && !/^https:\/\//.test(template.image)) return { error: 'Image must be an https URL' };
+
+  const fields = Array.isArray(body.fields) ? body.fields : [];
+  if (fields.length > TEMPLATE_MAX_FIELDS) return { error: `A template can have at most ${TEMPLATE_MAX_FIELDS} fields` };
+  template.fields = [];
+  for (const field of fields) {
+    const name = text(field?.name);
+    const value = text(field?.value);
+    if (!name || !value) return { error: 'Every field needs a name and a value' };
+    if (name.length > 256) return { error: 'Field names must be 256 characters or fewer' };
+    if (value.length > 1024) return { error: 'Field values must be 1024 characters or fewer' };
+    template.fields.push({ name, value, inline: !!field.inline });
+  }
+
+  const totalLength = template.title.length + template.description.length + template.footer.length
+    + template.fields.reduce((sum, field) => sum + field.name.length + field.value.length, 0);
+  if (totalLength > TEMPLATE_MAX_TOTAL_LENGTH) {
+    return { error: `A template's text must be ${TEMPLATE_MAX_TOTAL_LENGTH} characters or fewer in total (currently ${totalLength})` };
+  }
+
+  return { template };
+}
+
+function describeMessageTemplates(serverDoc) {
+  return Object.entries(MESSAGE_TEMPLATE_DEFAULTS).map(([key, meta]) => {
+    const custom = serverDoc.message_templates?.get(key);
+    return {
+      key,
+      label: meta.label,
+      placeholders: [...TEMPLATE_COMMON_PLACEHOLDERS, ...meta.placeholders],
+      customized: !!custom,
+      template: custom ? custom.toObject() : meta.template,
+      default: meta.template
+    };
+  });
+}
+
+app.get('/api/servers/:id/templates', isAuthenticated, isAdmin, async (req, res) => {
+  try {
+    const { serverDoc, error, status } = await loadAdminServer(req.params.id, req.session.user.id);
+    if (error) return res.status(status).json({ error });
+    res.json({ success: true, templates: describeMessageTemplates(serverDoc) });
+  } catch (error) {
+    console.error('Error loading message templates:', error);
+    res.status(500).json({ error: 'Failed to load message templates' });
+  }
+});
+
+app.put('/api/servers/:id/templates/:key', isAuthenticated, isAdmin, async (req, res) => {
+  try {
+    if (!MESSAGE_TEMPLATE_DEFAULTS[req.params.key]) return res.status(404).json({ error: 'Unknown message template' });
+    const { serverDoc, error, status } = await loadAdminServer(req.params.id, req.session.user.id);
+    if (error) return res.status(status).json({ error });
+
+    const result = validateMessageTemplate(req.body);
+    if (result.error) return res.status(400).json({ error: result.error });
+
+    serverDoc.message_templates.set(req.params.key, result.template);
+    await serverDoc.save();
+    await logAction({ guildId: serverDoc.guild_id, action: 'config.template_update', actorId: req.session.user.id, details: { template: req.params.key, title: result.template.title } });
+    res.json({ success: true, templates: describeMessageTemplates(serverDoc) });
+  } catch (error) {
+    console.error('Error saving message template:', error);
+    res.status(500).json({ error: 'Failed to save message template' });
+  }
+});
+
+app.delete('/api/servers/:id/templates/:key', isAuthenticated, isAdmin, async (req, res) => {
+  try {
+    if (!MESSAGE_TEMPLATE_DEFAULTS[req.params.key]) return res.status(404).json({ error: 'Unknown message template' });
+    const { serverDoc, error, status } = await loadAdminServer(req.params.id, req.session.user.id);
+    if (error) return res.status(status).json({ error });
+
+    serverDoc.message_templates.delete(req.params.key);
+    await serverDoc.save();
+    await logAction({ guildId: serverDoc.guild_id, action: 'config.template_reset', actorId: req.session.user.id, details: { template: req.params.key } });
+    res.json({ success: true, templates: describeMessageTemplates(serverDoc) });
+  } catch (error) {
+    console.error('Error resetting message template:', error);
+    res.status(500).json({ error: 'Failed to reset message template' });
+  }
+});
+
+app.delete('/api/servers/:id', isAuthenticated, isAdmin, async (req, res) => {
+  try {
+    const id = req.params.id;
+    const server = await GuildSetting.findById(id);
     if (!server) return res.status(404).json({ error: 'Server not found' });
+
+    // Log first so the entry still reaches the guild's configured log channel.
+    await logAction({ guildId: server.guild_id, action: 'config.delete', actorId: req.session.user.id, details: { name: server.name } });
+    await server.deleteOne();
     res.json({ success: true });
   } catch (error) {
     console.error('Error deleting server:', error);
@@ -762,19 +2222,24 @@ app.delete('/api/servers/:id', isAuthenticated, isAdmin, async (req, res) => {
   }
 });
 
-app.get('/api/stats', isAuthenticated, isStaff, async (req, res) => {
+// Stats for one guild with ?guild_id=, otherwise across every guild the user is staff in.
+app.get('/api/stats', isAuthenticated, requireGuildRole({ optional: true }), async (req, res) => {
   try {
+    const guildIds = req.guildId ? [req.guildId] : await getStaffGuildIds(req.session.user.id);
+    if (guildIds.length === 0) return res.status(403).json({ error: 'Staff role required' });
+
     const now = new Date();
     const today = new Date(now.setHours(0, 0, 0, 0));
     const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+    const scope = { guild_id: { $in: guildIds } };
 
     const stats = {
-      total: await Ticket.countDocuments(),
-      open: await Ticket.countDocuments({ status: 'open' }),
-      closed: await Ticket.countDocuments({ status: 'closed' }),
-      today: await Ticket.countDocuments({ created_at: { $gte: today } }),
-      thisWeek: await Ticket.countDocuments({ created_at: { $gte: weekAgo } }),
-      blocked: await BlockedUser.countDocuments()
+      total: await Ticket.countDocuments({ ...scope, status: { $ne: 'deleted' } }),
+      open: await Ticket.countDocuments({ ...scope, status: 'open' }),
+      closed: await Ticket.countDocuments({ ...scope, status: 'closed' }),
+      today: await Ticket.countDocuments({ ...scope, status: { $ne: 'deleted' }, created_at: { $gte: today } }),
+      thisWeek: await Ticket.countDocuments({ ...scope, status: { $ne: 'deleted' }, created_at: { $gte: weekAgo } }),
+      blocked: await BlockedUser.countDocuments(activeBlockFilter(scope))
     };
 
     res.json(stats);
@@ -784,6 +2249,417 @@ app.get('/api/stats', isAuthenticated, isStaff, async (req, res) => {
   }
 });
 
+const ANALYTICS_DEFAULT_DAYS = 30;
+const ANALYTICS_MAX_DAYS = 366;
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// ===== Business hours =====
+const BUSINESS_HOURS_START_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const BUSINESS_HOURS_END_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const BUSINESS_HOURS_LOOKAHEAD_DAYS = 366;
+
+function validateBusinessHours(input) {
+  if (input === undefined || input === null) return { businessHours: { enabled: false, timezone: 'UTC', schedule: [], holidays: [] } };
+
+  const timezone = String(input.timezone || 'UTC').trim();
+  if (!isValidTimeZone(timezone)) return { error: 'Business hours time zone is not valid' };
+
+  const schedule = [];
+  for (const window of Array.isArray(input.schedule) ? input.schedule : []) {
+    const day = Number(window?.day);
+    if (!Number.isInteger(day) || day < 0 || day > 6) return { error: 'Business hours days must be 0 (Sunday) to 6 (Saturday)' };
+    if (!BUSINESS_HOURS_START_PATTERN.test(window.start) || !BUSINESS_HOURS_END_PATTERN.test(window.end)) {
+      return { error: 'Business hours must use HH:MM times' };
+    }
+    if (window.start >= window.end) return { error: 'Business hours must end after they start' };
+    schedule.push({ day, start: window.start, end: window.end });
+  }
+  if (schedule.length > 28) return { error: 'At most 28 business hour windows are allowed' };
+
+  const holidays = [...new Set(Array.isArray(input.holidays) ? input.holidays.map(h => String(h).trim()).filter(Boolean) : [])].sort();
+  if (holidays.length > BUSINESS_HOURS_LOOKAHEAD_DAYS) return { error: `At most ${BUSINESS_HOURS_LOOKAHEAD_DAYS} holidays are allowed` };
+  if (holidays.some(h => !/^\d{4}-\d{2}-\d{2}$/.test(h) || isNaN(Date.parse(`${h}T00:00:00Z`)) || new Date(`${h}T00:00:00Z`).toISOString().slice(0, 10) !== h)) {
+    return { error: 'Holidays must be dates in YYYY-MM-DD format' };
+  }
+
+  const enabled = !!input.enabled;
+  if (enabled && schedule.length === 0) return { error: 'Add at least one opening window to enable business hours' };
+
+  return { businessHours: { enabled, timezone, schedule, holidays } };
+}
+
+// Local calendar date and HH:MM of an instant in the given time zone.
+function zonedDateParts(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+  return { dateKey: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}`, parts };
+}
+
+function timeZoneOffsetMs(date, timeZone) {
+  const { parts } = zonedDateParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - (date.getTime() - date.getMilliseconds());
+}
+
+// The instant a local date and time happen in the time zone, rechecking the offset across DST changes.
+function zonedTimeToUtc(dateKey, time, timeZone) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = timeZoneOffsetMs(new Date(guess), timeZone);
+  const corrected = timeZoneOffsetMs(new Date(guess - offset), timeZone);
+  return new Date(guess - corrected);
+}
+
+function addDaysToDateKey(dateKey, days) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+// Opening windows on a local date as [start, end] instants; none on holidays.
+function businessWindowsOn(hours, dateKey) {
+  if (hours.holidays?.includes(dateKey)) return [];
+  const weekday = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+  return (hours.schedule || [])
+    .filter(window => window.day === weekday)
+    .map(window => [zonedTimeToUtc(dateKey, window.start, hours.timezone), zonedTimeToUtc(dateKey, window.end, hours.timezone)])
+    .sort((a, b) => a[0] - b[0]);
+}
+
+function isWithinBusinessHours(hours, date = new Date()) {
+  const { dateKey } = zonedDateParts(date, hours.timezone);
+  return businessWindowsOn(hours, dateKey).some(([start, end]) => date >= start && date < end);
+}
+
+// Next time staff are back, or null when no opening is scheduled within a year.
+function nextBusinessOpening(hours, from = new Date()) {
+  const { dateKey } = zonedDateParts(from, hours.timezone);
+  for (let offset = 0; offset <= BUSINESS_HOURS_LOOKAHEAD_DAYS; offset++) {
+    for (const [start, end] of businessWindowsOn(hours, addDaysToDateKey(dateKey, offset))) {
+      if (end > from) return start > from ? start : from;
+    }
+  }
+  return null;
+}
+
+// Milliseconds between two instants that fall inside business hours.
+function businessMsBetween(hours, start, end) {
+  start = new Date(start);
+  end = new Date(end);
+  if (end <= start) return 0;
+
+  let total = 0;
+  const lastKey = zonedDateParts(end, hours.timezone).dateKey;
+  for (let dateKey = zonedDateParts(start, hours.timezone).dateKey; dateKey <= lastKey; dateKey = addDaysToDateKey(dateKey, 1)) {
+    for (const [open, close] of businessWindowsOn(hours, dateKey)) {
+      total += Math.max(0, Math.min(close, end) - Math.max(open, start));
+    }
+  }
+  return total;
+}
+
+// Null while the server is open (or has no business hours), otherwise when staff are expected back.
+function getAwayStatus(guildConfig, now = new Date()) {
+  const hours = guildConfig?.business_hours;
+  if (!hours?.enabled || !hours.schedule?.length || isWithinBusinessHours(hours, now)) return null;
+  return { returnsAt: nextBusinessOpening(hours, now) };
+}
+
+// Stores the business-hours-only time from the ticket's creation to `end`, or clears it when the
+// server has no business hours so analytics fall back to wall-clock time.
+async function recordBusinessDuration(ticket, field, end) {
+  const cfg = await GuildSetting.findOne({ guild_id: ticket.guild_id }, { business_hours: 1 }).lean().catch(() => null);
+  const hours = cfg?.business_hours;
+  const update = hours?.enabled && hours.schedule?.length
+    ? { $set: { [field]: businessMsBetween(hours, ticket.created_at, end) } }
+    : { $unset: { [field]: 1 } };
+  await Ticket.updateOne({ _id: ticket._id }, update).catch(err => console.error(`Failed to record ${field}:`, err));
+}
+
+// Looks up each ticket's first staff message and derives its response and resolution times.
+// With excludeOffHours, the business-hours durations recorded on the ticket are used where present.
+function ticketTimingStages({ excludeOffHours = false } = {}) {
+  const duration = (businessField, raw) => (excludeOffHours ? { $ifNull: [`$${businessField}`, raw] } : raw);
+  return [
+    {
+      $lookup: {
+        from: Message.collection.name,
+        let: { ticketId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$ticket_id', '$$ticketId'] }, is_staff: true } },
+          { $sort: { timestamp: 1 } },
+          { $limit: 1 },
+          { $project: { timestamp: 1, user_id: 1 } }
+        ],
+        as: 'first_staff'
+      }
+    },
+    { $addFields: { first_staff: { $arrayElemAt: ['$first_staff', 0] } } },
+    {
+      $addFields: {
+        first_response_ms: { $cond: [{ $ifNull: ['$first_staff', false] }, duration('first_response_business_ms', { $subtract: ['$first_staff.timestamp', '$created_at'] }), null] },
+        resolution_ms: { $cond: [{ $and: [{ $eq: ['$status', 'closed'] }, { $ifNull: ['$closed_at', false] }] }, duration('resolution_business_ms', { $subtract: ['$closed_at', '$created_at'] }), null] }
+      }
+    }
+  ];
+}
+
+function ticketBreakdownStages(field, fallback = null) {
+  return [
+    {
+      $group: {
+        _id: { $ifNull: [`$${field}`, fallback] },
+        count: { $sum: 1 },
+        avg_first_response_ms: { $avg: '$first_response_ms' },
+        avg_resolution_ms: { $avg: '$resolution_ms' }
+      }
+    },
+    { $sort: { count: -1 } }
+  ];
+}
+
+// Quotes CSV values and defuses leading formula characters so exports are safe to open in spreadsheets.
+function toCsv(rows, columns) {
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [
+    columns.map(col => col.header).join(','),
+    ...rows.map(row => columns.map(col => escape(col.value(row))).join(','))
+  ].join('\n');
+}
+
+function msToSeconds(ms) {
+  return ms === null || ms === undefined ? null : Math.round(ms / 1000);
+}
+
+function buildAnalyticsRange(params) {
+  const timeZone = params.tz || 'UTC';
+  if (!isValidTimeZone(timeZone)) return { error: 'Invalid time zone' };
+
+  const dateRange = parseDateRange(params);
+  if (dateRange.error) return { error: dateRange.error };
+
+  // Bare dates are whole days in the requested time zone, matching the day buckets in the charts.
+  const isBareDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+  const to = isBareDate(params.to)
+    ? new Date(zonedTimeToUtc(addDaysToDateKey(params.to, 1), '00:00', timeZone).getTime() - 1)
+    : dateRange.range?.$lte || new Date();
+  const from = isBareDate(params.from)
+    ? zonedTimeToUtc(params.from, '00:00', timeZone)
+    : dateRange.range?.$gte || new Date(to.getTime() - ANALYTICS_DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+  if (from > to) return { error: 'from must be before to' };
+  if (to - from > ANALYTICS_MAX_DAYS * 24 * 60 * 60 * 1000) return { error: `Date range must be ${ANALYTICS_MAX_DAYS} days or less` };
+
+  return { from, to, timeZone, excludeOffHours: params.exclude_off_hours !== 'false' };
+}
+
+async function computeGuildAnalytics(guildId, { from, to, timeZone, excludeOffHours }) {
+  const ticketMatch = { guild_id: guildId, status: { $ne: 'deleted' }, created_at: { $gte: from, $lte: to } };
+  const guildTicketIds = await Ticket.find({ guild_id: guildId, status: { $ne: 'deleted' } }).distinct('_id');
+  const messageMatch = { ticket_id: { $in: guildTicketIds }, timestamp: { $gte: from, $lte: to } };
+
+  const [[ticketFacets], staffMessages, heatmapCells, openedByDay, closedByDay, backlogAtStart] = await Promise.all([
+    Ticket.aggregate([
+      { $match: ticketMatch },
+      ...ticketTimingStages({ excludeOffHours }),
+      {
+        $facet: {
+          summary: [{
+            $group: {
+              _id: null,
+              total: { $sum: 1 },
+              open: { $sum: { $cond: [{ $eq: ['$status', 'open'] }, 1, 0] } },
+              closed: { $sum: { $cond: [{ $eq: ['$status', 'closed'] }, 1, 0] } },
+              responded: { $sum: { $cond: [{ $ne: ['$first_response_ms', null] }, 1, 0] } },
+              off_hours: { $sum: { $cond: ['$opened_off_hours', 1, 0] } },
+              avg_first_response_ms: { $avg: '$first_response_ms' },
+              max_first_response_ms: { $max: '$first_response_ms' },
+              avg_resolution_ms: { $avg: '$resolution_ms' }
+            }
+          }],
+          by_category: ticketBreakdownStages('category'),
+          by_priority: ticketBreakdownStages('priority', 'normal'),
+          first_responders: [
+            { $match: { first_staff: { $exists: true } } },
+            { $group: { _id: '$first_staff.user_id', first_responses: { $sum: 1 }, avg_first_response_ms: { $avg: '$first_response_ms' } } }
+          ],
+          closers: [
+            { $match: { status: 'closed', closed_by: { $nin: [null, client.user.id] } } },
+            { $group: { _id: '$closed_by', closed: { $sum: 1 }, avg_resolution_ms: { $avg: '$resolution_ms' } } }
+          ],
+          claims: [
+            { $match: { claimed_by: { $nin: [null, ''] } } },
+            { $group: { _id: '$claimed_by', claimed: { $sum: 1 } } }
+          ]
+        }
+      }
+    ]),
+    Message.aggregate([
+      { $match: { ...messageMatch, is_staff: true } },
+      { $group: { _id: '$user_id', messages: { $sum: 1 }, tickets: { $addToSet: '$ticket_id' } } },
+      { $project: { messages: 1, tickets_handled: { $size: '$tickets' } } }
+    ]),
+    // Incoming user messages show when people actually need help.
+    Message.aggregate([
+      { $match: { ...messageMatch, is_staff: false } },
+      {
+        $group: {
+          _id: { day: { $dayOfWeek: { date: '$timestamp', timezone: timeZone } }, hour: { $hour: { date: '$timestamp', timezone: timeZone } } },
+          count: { $sum: 1 }
+        }
+      }
+    ]),
+    Ticket.aggregate([
+      { $match: ticketMatch },
+      { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$created_at', timezone: timeZone } }, count: { $sum: 1 } } }
+    ]),
+    Ticket.aggregate([
+      { $match: { guild_id: guildId, status: 'closed', closed_at: { $gte: from, $lte: to } } },
+      { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$closed_at', timezone: timeZone } }, count: { $sum: 1 } } }
+    ]),
+    Ticket.countDocuments({
+      guild_id: guildId,
+      status: { $ne: 'deleted' },
+      created_at: { $lt: from },
+      $or: [{ closed_at: null }, { closed_at: { $gte: from } }]
+    })
+  ]);
+
+  const staff = new Map();
+  const staffEntry = (id) => {
+    if (!staff.has(id)) {
+      staff.set(id, { user_id: id, tickets_handled: 0, messages: 0, first_responses: 0, avg_first_response_ms: null, closed: 0, avg_resolution_ms: null, claimed: 0 });
+    }
+    return staff.get(id);
+  };
+  for (const row of staffMessages) Object.assign(staffEntry(row._id), { messages: row.messages, tickets_handled: row.tickets_handled });
+  for (const row of ticketFacets.first_responders) Object.assign(staffEntry(row._id), { first_responses: row.first_responses, avg_first_response_ms: row.avg_first_response_ms });
+  for (const row of ticketFacets.closers) Object.assign(staffEntry(row._id), { closed: row.closed, avg_resolution_ms: row.avg_resolution_ms });
+  for (const row of ticketFacets.claims) staffEntry(row._id).claimed = row.claimed;
+
+  const staffRows = [...staff.values()].sort((a, b) => b.tickets_handled - a.tickets_handled || b.messages - a.messages);
+  for (const row of staffRows) {
+    const user = await client.users.fetch(row.user_id).catch(() => null);
+    row.tag = user ? user.tag : 'Unknown User';
+  }
+
+  // 7 x 24 grid, Sunday first, matching $dayOfWeek.
+  const heatmap = Array.from({ length: 7 }, () => Array(24).fill(0));
+  for (const cell of heatmapCells) heatmap[cell._id.day - 1][cell._id.hour] = cell.count;
+
+  const dayKey = new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' });
+  const openedMap = new Map(openedByDay.map(row => [row._id, row.count]));
+  const closedMap = new Map(closedByDay.map(row => [row._id, row.count]));
+  const days = [];
+  for (let time = from.getTime(); time <= to.getTime(); time += 24 * 60 * 60 * 1000) {
+    const key = dayKey.format(new Date(time));
+    if (days[days.length - 1] !== key) days.push(key);
+  }
+  const lastKey = dayKey.format(to);
+  if (days[days.length - 1] !== lastKey) days.push(lastKey);
+
+  let backlog = backlogAtStart;
+  const backlogSeries = days.map(date => {
+    const opened = openedMap.get(date) || 0;
+    const closed = closedMap.get(date) || 0;
+    backlog += opened - closed;
+    return { date, opened, closed, backlog };
+  });
+
+  const summary = ticketFacets.summary[0] || { total: 0, open: 0, closed: 0, responded: 0, off_hours: 0, avg_first_response_ms: null, max_first_response_ms: null, avg_resolution_ms: null };
+  delete summary._id;
+
+  return {
+    range: { from, to, tz: timeZone, exclude_off_hours: !!excludeOffHours },
+    summary,
+    staff: staffRows,
+    heatmap,
+    backlog: backlogSeries,
+    by_category: ticketFacets.by_category.map(({ _id, ...row }) => ({ category: _id, ...row })),
+    by_priority: ticketFacets.by_priority.map(({ _id, ...row }) => ({ priority: _id, ...row }))
+  };
+}
+
+app.get('/analytics', isAuthenticated, (req, res) => {
+  res.render('analytics', { user: req.session.user });
+});
+
+app.get('/api/analytics', isAuthenticated, requireGuildRole({ deniedMessage: 'You do not have permission to view analytics for this guild' }), async (req, res) => {
+  try {
+    const guildId = req.guildId;
+
+    const range = buildAnalyticsRange(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
+
+    if (req.query.format === 'csv') {
+      const report = req.query.report || 'tickets';
+      let csv;
+
+      if (report === 'tickets') {
+        const tickets = await Ticket.aggregate([
+          { $match: { guild_id: guildId, status: { $ne: 'deleted' }, created_at: { $gte: range.from, $lte: range.to } } },
+          ...ticketTimingStages({ excludeOffHours: range.excludeOffHours }),
+          { $sort: { created_at: 1 } }
+        ]);
+        csv = toCsv(tickets, [
+          { header: 'ticket_id', value: t => t._id },
+          { header: 'user_id', value: t => t.user_id },
+          { header: 'status', value: t => t.status },
+          { header: 'category', value: t => t.category },
+          { header: 'priority', value: t => t.priority || 'normal' },
+          { header: 'opened_off_hours', value: t => !!t.opened_off_hours },
+          { header: 'created_at', value: t => t.created_at },
+          { header: 'first_response_at', value: t => t.first_staff?.timestamp },
+          { header: 'first_responder_id', value: t => t.first_staff?.user_id },
+          { header: 'first_response_seconds', value: t => msToSeconds(t.first_response_ms) },
+          { header: 'closed_at', value: t => t.closed_at },
+          { header: 'closed_by', value: t => t.closed_by },
+          { header: 'resolution_seconds', value: t => msToSeconds(t.resolution_ms) },
+          { header: 'claimed_by', value: t => t.claimed_by }
+        ]);
+      } else if (report === 'staff') {
+        const analytics = await computeGuildAnalytics(guildId, range);
+        csv = toCsv(analytics.staff, [
+          { header: 'user_id', value: s => s.user_id },
+          { header: 'tag', value: s => s.tag },
+          { header: 'tickets_handled', value: s => s.tickets_handled },
+          { header: 'messages', value: s => s.messages },
+          { header: 'first_responses', value: s => s.first_responses },
+          { header: 'avg_first_response_seconds', value: s => msToSeconds(s.avg_first_response_ms) },
+          { header: 'claimed', value: s => s.claimed },
+          { header: 'closed', value: s => s.closed },
+          { header: 'avg_resolution_seconds', value: s => msToSeconds(s.avg_resolution_ms) }
+        ]);
+      } else {
+        return res.status(400).json({ error: 'report must be tickets or staff' });
+      }
+
+      const stamp = (date) => date.toISOString().slice(0, 10);
+      res.set('Content-Disposition', `attachment; filename="analytics-${report}-${guildId}-${stamp(range.from)}-to-${stamp(range.to)}.csv"`);
+      return res.type('text/csv').send(csv);
+    }
+
+    const analytics = await computeGuildAnalytics(guildId, range);
+    res.json({ success: true, ...analytics });
+  } catch (error) {
+    console.error('Error computing analytics:', error);
+    res.status(500).json({ error: 'Failed to compute analytics' });
+  }
+});
+
 app.get('/api/bot-guilds', isAuthenticated, async (req, res) => {
   try {
     const guilds = [];
@@ -830,39 +2706,159 @@ app.get('/api/bot-guilds', isAuthenticated, async (req, res) => {
   }
 });
 
-app.get('/api/tickets', isAuthenticated, async (req, res) => {
-  try {
-    const guildId = req.query.guild_id;
-    if (!guildId) return res.status(400).json({ error: 'guild_id required' });
+const TICKET_SORT_FIELDS = { created: 'created_at', activity: 'last_activity_at', priority: 'created_at' };
 
-    let guild = null;
-    try {
-      guild = await client.guilds.fetch(guildId);
-    } catch (err) {
-      return res.status(400).json({ error: 'Guild not available to bot' });
+// Same rule the urgent escalation uses: a ticket waits on staff until a staff message
+// is at least as recent as the user's last message (or the ticket's creation).
+const TICKET_AWAITING_FILTERS = {
+  staff: { $expr: { $lt: [{ $ifNull: ['$last_staff_message_at', new Date(0)] }, { $ifNull: ['$last_user_message_at', '$created_at'] }] } },
+  user: { $expr: { $gte: ['$last_staff_message_at', { $ifNull: ['$last_user_message_at', '$created_at'] }] } }
+};
+
+function findTicketsSorted(query, { sort, skip = 0, limit, cursor = null }) {
+  if (sort === 'priority') {
+    const pipeline = [
+      { $match: query },
+      { $addFields: { priority_rank: { $indexOfArray: [TICKET_PRIORITIES, { $ifNull: ['$priority', 'normal'] }] } } }
+    ];
+    if (cursor) {
+      pipeline.push({ $match: { $or: [
+        { priority_rank: { $lt: cursor.rank } },
+        { priority_rank: cursor.rank, created_at: { $lt: cursor.value } },
+        { priority_rank: cursor.rank, created_at: cursor.value, _id: { $lt: cursor.id } }
+      ] } });
     }
+    pipeline.push({ $sort: { priority_rank: -1, created_at: -1, _id: -1 } }, { $skip: skip }, { $limit: limit });
+    return Ticket.aggregate(pipeline);
+  }
 
-    let member = null;
-    try {
-      member = await guild.members.fetch(req.session.user.id).catch(() => null);
-    } catch (e) {
+  if (sort === 'activity') {
+    // Tickets from before activity tracking have no last_activity_at, so they sort by creation instead.
+    const pipeline = [
+      { $match: query },
+      { $addFields: { activity_at: { $ifNull: ['$last_activity_at', '$created_at'] } } }
+    ];
+    if (cursor) {
+      pipeline.push({ $match: { $or: [
+        { activity_at: { $lt: cursor.value } },
+        { activity_at: cursor.value, _id: { $lt: cursor.id } }
+      ] } });
+    }
+    pipeline.push({ $sort: { activity_at: -1, _id: -1 } }, { $skip: skip }, { $limit: limit });
+    return Ticket.aggregate(pipeline);
+  }
+
+  const field = TICKET_SORT_FIELDS[sort] || 'created_at';
+  const cursorQuery = cursor
+    ? { $and: [query, { $or: [{ [field]: { $lt: cursor.value } }, { [field]: cursor.value, _id: { $lt: cursor.id } }] }] }
+    : query;
+  return Ticket.find(cursorQuery).sort({ [field]: -1, _id: -1 }).skip(skip).limit(limit).lean();
+}
+
+// Cursors are the last row's sort key, base64url-encoded so clients treat them as opaque.
+function encodeTicketCursor(ticket, sort) {
+  const value = sort === 'activity' ? ticket.activity_at : ticket[TICKET_SORT_FIELDS[sort] || 'created_at'];
+  const key = { value, id: String(ticket._id) };
+  if (sort === 'priority') key.rank = ticket.priority_rank;
+  return Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+
+function decodeTicketCursor(cursor, sort) {
+  try {
+    const key = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    const value = new Date(key.value);
+    if (isNaN(value) || !mongoose.isValidObjectId(key.id)) return null;
+    if (sort === 'priority' && !Number.isInteger(key.rank)) return null;
+    return { value, id: new mongoose.Types.ObjectId(key.id), rank: key.rank };
+  } catch (err) {
+    return null;
+  }
+}
+
+function buildTicketFilterQuery(guildId, params, userId) {
+  const query = { guild_id: guildId };
+
+  if (!params.status || params.status === 'all') {
+    query.status = { $ne: 'deleted' };
+  } else if (['open', 'closed'].includes(params.status)) {
+    query.status = params.status;
+  } else {
+    return { error: 'status must be open, closed or all' };
+  }
+
+  if (params.priority) {
+    const priorities = String(params.priority).split(',');
+    if (priorities.some(p => !TICKET_PRIORITIES.includes(p))) {
+      return { error: `priority must be one of: ${TICKET_PRIORITIES.join(', ')}` };
     }
+    query.priority = priorities.length === 1 ? priorities[0] : { $in: priorities };
+  }
+
+  if (params.category === 'none') {
+    query.category = { $in: [null, ''] };
+  } else if (params.category) {
+    query.category = params.category;
+  }
+
+  if (params.claimed_by === 'unclaimed') {
+    query.claimed_by = { $in: [null, ''] };
+  } else if (params.claimed_by === 'mine') {
+    query.claimed_by = userId;
+  } else if (params.claimed_by) {
+    query.claimed_by = params.claimed_by;
+  }
+
+  if (params.user_id) query.user_id = params.user_id;
+
+  const dateRange = parseDateRange(params);
+  if (dateRange.error) return { error: dateRange.error };
+  if (dateRange.range) query.created_at = dateRange.range;
+
+  if (params.awaiting) {
+    if (!TICKET_AWAITING_FILTERS[params.awaiting]) return { error: 'awaiting must be staff or user' };
+    if (query.status === 'closed') return { error: 'awaiting only applies to open tickets' };
+    query.status = 'open';
+    Object.assign(query, TICKET_AWAITING_FILTERS[params.awaiting]);
+  }
+
+  return { query };
+}
 
+app.get('/api/tickets', isAuthenticated, requireGuildRole({ categoryStaff: true, deniedMessage: 'You do not have permission to view tickets for this guild' }), async (req, res) => {
+  try {
+    const guildId = req.guildId;
     const cfg = await GuildSetting.findOne({ guild_id: guildId }).lean().catch(() => null);
-    const staffRole = cfg ? cfg.staff_role_id : null;
 
-    const userIsAllowed = !!(member && (member.permissions.has(PermissionFlagsBits.Administrator) || (staffRole && member.roles.cache.has(staffRole))));
+    const sort = TICKET_SORT_FIELDS[req.query.sort] ? req.query.sort : 'created';
+    if (req.query.sort && sort !== req.query.sort) {
+      return res.status(400).json({ error: `sort must be one of: ${Object.keys(TICKET_SORT_FIELDS).join(', ')}` });
+    }
 
-    if (!userIsAllowed) return res.status(403).json({ error: 'You do not have permission to view tickets for this guild' });
+    const filter = buildTicketFilterQuery(guildId, req.query, req.session.user.id);
+    if (filter.error) return res.status(400).json({ error: filter.error });
+    const query = filter.query;
+    if (req.staffCategories) {
+      // Category staff only see tickets in the categories whose staff role they hold.
+      query.category = { $in: query.category === undefined ? req.staffCategories : req.staffCategories.filter(name => name === query.category) };
+    }
 
-    const page = Math.max(1, parseInt(req.query.page) || 1);
+    // A cursor (from a previous response's next_cursor) takes precedence over page numbers.
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeTicketCursor(req.query.cursor, sort);
+      if (!cursor) return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const page = cursor ? null : Math.max(1, parseInt(req.query.page) || 1);
     const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 10));
-    const skip = (page - 1) * limit;
+    const skip = cursor ? 0 : (page - 1) * limit;
 
-    const [tickets, total] = await Promise.all([
-      Ticket.find({ guild_id: guildId }).sort({ created_at: -1 }).skip(skip).limit(limit).lean(),
-      Ticket.countDocuments({ guild_id: guildId })
+    const [rows, total] = await Promise.all([
+      findTicketsSorted(query, { sort, skip, limit: limit + 1, cursor }),
+      Ticket.countDocuments(query)
     ]);
+    const tickets = rows.slice(0, limit);
+    const nextCursor = rows.length > limit ? encodeTicketCursor(tickets[tickets.length - 1], sort) : null;
 
     for (let ticket of tickets) {
       try {
@@ -873,63 +2869,343 @@ app.get('/api/tickets', isAuthenticated, async (req, res) => {
       }
     }
 
-    res.json({ success: true, tickets, total, page, limit });
+    res.json({ success: true, tickets, total, page, limit, sort, next_cursor: nextCursor, categories: (cfg?.ticket_categories || [])
+        .filter(cat => !req.staffCategories || req.staffCategories.includes(cat.name))
+        .map(cat => ({ name: cat.name, emoji: cat.emoji })) });
   } catch (error) {
     console.error('Error fetching tickets for guild:', error);
     res.status(500).json({ error: 'Failed to fetch tickets' });
   }
 });
 
-app.get('/api/ping', isAuthenticated, async (req, res) => {
-  try {
-    const ping = client.ws?.ping || null;
-    const uptime = process.uptime();
-    const guildCount = client.guilds.cache.size;
-    res.json({ success: true, ping, uptime, guildCount });
-  } catch (error) {
-    console.error('Error fetching ping:', error);
-    res.status(500).json({ error: 'Failed to fetch ping' });
+const SEARCH_SOURCE_LIMIT = 200;
+const SEARCH_SNIPPET_RADIUS = 80;
+
+// Words from a $text query worth highlighting: negated terms are dropped, quoted phrases kept whole.
+function extractSearchTerms(q) {
+  const terms = [];
+  for (const match of q.matchAll(/(-?)"([^"]+)"|(-?)(\S+)/g)) {
+    if (match[1] === '-' || match[3] === '-') continue;
+    const term = (match[2] || match[4]).trim();
+    if (term) terms.push(term);
   }
-});
+  return terms;
+}
 
-app.get('/logout', (req, res) => {
-  req.session.destroy((err) => {
-    if (err) {
-      console.error('Error destroying session:', err);
-      return res.status(500).send('Error logging out');
-    }
-    res.redirect('/');
-  });
-});
+// Cuts a window of text around the first matching term and returns the offsets of every
+// match inside it. Text search stems words, so a trailing \w* also catches "scams" for "scam".
+function buildSearchSnippet(text, terms) {
+  if (!text) return { snippet: '', highlights: [] };
+  const patterns = terms.map(term => new RegExp(term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '\\w*', 'gi'));
 
-client.on('ready', () => {
-  console.log(`✅ Bot logged in as ${client.user.tag}`);
-  console.log(`🌐 Dashboard running on ${process.env.DASHBOARD_URL || 'http://localhost:3000'}`);
-  console.log(`📊 Guilds: ${client.guilds.cache.size}`);
-  console.log(`👥 Users: ${client.users.cache.size}`);
-  
-  client.user.setActivity('DMs for Support', { type: ActivityType.Watching });
-  
-  const guild = client.guilds.cache.get(process.env.GUILD_ID);
-  if (guild) {
-    console.log(`✅ Connected to guild: ${guild.name}`);
-  } else {
-    console.error('❌ Could not find guild with ID:', process.env.GUILD_ID);
+  let first = -1;
+  for (const pattern of patterns) {
+    const match = text.match(new RegExp(pattern.source, 'i'));
+    if (match && (first === -1 || match.index < first)) first = match.index;
   }
-});
 
-client.on('messageCreate', async (message) => {
-  if (message.author.bot) return;
+  const start = Math.max(0, first - SEARCH_SNIPPET_RADIUS);
+  const end = Math.min(text.length, start + SEARCH_SNIPPET_RADIUS * 2);
+  const prefix = start > 0 ? '…' : '';
+  const excerpt = text.slice(start, end);
 
-  try {
-    if (message.channel.type === ChannelType.DM) {
-      console.log(`📨 DM received from ${message.author.tag} (${message.author.id})`);
-      console.log(`📝 Content: ${message.content.substring(0, 100)}`);
-      await handleDM(message);
-      return;
+  const highlights = [];
+  for (const pattern of patterns) {
+    for (const match of excerpt.matchAll(pattern)) {
+      highlights.push({ start: prefix.length + match.index, length: match[0].length });
+    }
+  }
+  highlights.sort((a, b) => a.start - b.start);
+  const merged = highlights.filter((h, i) => i === 0 || h.start >= highlights[i - 1].start + highlights[i - 1].length);
+
+  return { snippet: prefix + excerpt + (end < text.length ? '…' : ''), highlights: merged };
+}
+
+function isWithinDateRange(date, range) {
+  if (!range) return true;
+  const time = new Date(date).getTime();
+  return (!range.$gte || time >= range.$gte.getTime()) && (!range.$lte || time <= range.$lte.getTime());
+}
+
+app.get('/api/search', isAuthenticated, requireGuildRole({ deniedMessage: 'You do not have permission to view tickets for this guild' }), async (req, res) => {
+  try {
+    const guildId = req.guildId;
+
+    const q = (req.query.q || '').trim();
+    if (q.length > 200) return res.status(400).json({ error: 'Search query must be 200 characters or fewer' });
+
+    const dateRange = parseDateRange(req.query);
+    if (dateRange.error) return res.status(400).json({ error: dateRange.error });
+
+    const scope = { guild_id: guildId, status: { $ne: 'deleted' } };
+    if (req.query.category === 'none') {
+      scope.category = { $in: [null, ''] };
+    } else if (req.query.category) {
+      scope.category = req.query.category;
+    }
+    if (req.query.user_id) scope.user_id = req.query.user_id;
+    if (req.query.ticket_id) {
+      if (!mongoose.isValidObjectId(req.query.ticket_id)) return res.status(400).json({ error: 'Invalid ticket ID' });
+      scope._id = req.query.ticket_id;
+    }
+
+    if (!q && Object.keys(scope).length === 2 && !dateRange.range) {
+      return res.status(400).json({ error: 'Enter a search term or at least one filter' });
+    }
+
+    const hits = [];
+    let truncated = false;
+
+    if (q) {
+      const terms = extractSearchTerms(q);
+      const scopedTicketIds = await Ticket.find(scope).distinct('_id');
+
+      const messageQuery = { $text: { $search: q }, ticket_id: { $in: scopedTicketIds } };
+      if (dateRange.range) messageQuery.timestamp = dateRange.range;
+
+      // A query can also name a ticket directly: by ticket ID, user ID, or a member's name.
+      const directConditions = [];
+      if (/^[a-f\d]{24}$/i.test(q)) directConditions.push({ _id: q });
+      if (/^\d{17,20}$/.test(q)) {
+        directConditions.push({ user_id: q });
+      } else if (!/\s/.test(q)) {
+        const guild = client.guilds.cache.get(guildId);
+        const members = guild ? await guild.members.search({ query: q, limit: 10 }).catch(() => null) : null;
+        if (members?.size) directConditions.push({ user_id: { $in: [...members.keys()] } });
+      }
+      const directQuery = { $and: [scope, { $or: directConditions }] };
+      if (dateRange.range) directQuery.created_at = dateRange.range;
+
+      const [messages, noteTickets, directTickets] = await Promise.all([
+        Message.find(messageQuery, { score: { $meta: 'textScore' } }).sort({ score: { $meta: 'textScore' } }).limit(SEARCH_SOURCE_LIMIT).lean(),
+        Ticket.find({ ...scope, $text: { $search: q } }).limit(SEARCH_SOURCE_LIMIT).lean(),
+        directConditions.length ? Ticket.find(directQuery).sort({ created_at: -1 }).limit(SEARCH_SOURCE_LIMIT).lean() : []
+      ]);
+      truncated = [messages, noteTickets, directTickets].some(list => list.length === SEARCH_SOURCE_LIMIT);
+
+      for (const msg of messages) {
+        hits.push({ type: 'message', ticket_id: msg.ticket_id, timestamp: msg.timestamp, author_id: msg.user_id, is_staff: msg.is_staff, ...buildSearchSnippet(msg.content, terms) });
+      }
+
+      for (const ticket of noteTickets) {
+        const notes = (ticket.notes || [])
+          .filter(note => isWithinDateRange(note.timestamp, dateRange.range))
+          .map(note => ({ note, ...buildSearchSnippet(note.content, terms) }));
+        // Stemmed matches won't highlight; fall back to the first note so the ticket still shows up.
+        const matched = notes.filter(n => n.highlights.length > 0);
+        for (const { note, snippet, highlights } of matched.length ? matched : notes.slice(0, 1)) {
+          hits.push({ type: 'note', ticket_id: ticket._id, timestamp: note.timestamp, author_id: note.user_id, is_staff: true, snippet, highlights });
+        }
+      }
+
+      for (const ticket of directTickets) {
+        hits.push({ type: 'ticket', ticket_id: ticket._id, timestamp: ticket.created_at, author_id: ticket.user_id, is_staff: false, snippet: '', highlights: [] });
+      }
+    } else {
+      const query = { ...scope };
+      if (dateRange.range) query.created_at = dateRange.range;
+      const tickets = await Ticket.find(query).sort({ created_at: -1 }).limit(SEARCH_SOURCE_LIMIT).lean();
+      truncated = tickets.length === SEARCH_SOURCE_LIMIT;
+      for (const ticket of tickets) {
+        hits.push({ type: 'ticket', ticket_id: ticket._id, timestamp: ticket.created_at, author_id: ticket.user_id, is_staff: false, snippet: '', highlights: [] });
+      }
+    }
+
+    hits.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+    const results = hits.slice((page - 1) * limit, page * limit);
+
+    const tickets = await Ticket.find({ _id: { $in: results.map(hit => hit.ticket_id) } }).lean();
+    const ticketsById = new Map(tickets.map(ticket => [String(ticket._id), ticket]));
+
+    const userCache = new Map();
+    const resolveUser = async (id) => {
+      if (!userCache.has(id)) {
+        const user = await client.users.fetch(id).catch(() => null);
+        userCache.set(id, user ? { id, tag: user.tag, avatar: user.displayAvatarURL() } : { id, tag: 'Unknown User', avatar: null });
+      }
+      return userCache.get(id);
+    };
+
+    for (const hit of results) {
+      const ticket = ticketsById.get(String(hit.ticket_id));
+      hit.ticket = ticket ? {
+        _id: ticket._id,
+        status: ticket.status,
+        priority: ticket.priority,
+        category: ticket.category,
+        user_id: ticket.user_id,
+        user: await resolveUser(ticket.user_id),
+        created_at: ticket.created_at
+      } : null;
+      hit.author = await resolveUser(hit.author_id);
+    }
+
+    res.json({ success: true, results, total: hits.length, truncated, page, limit });
+  } catch (error) {
+    console.error('Error searching tickets:', error);
+    res.status(500).json({ error: 'Failed to search tickets' });
+  }
+});
+
+app.get('/api/ping', isAuthenticated, async (req, res) => {
+  try {
+    const ping = client.ws?.ping || null;
+    const uptime = process.uptime();
+    const guildCount = client.guilds.cache.size;
+    res.json({ success: true, ping, uptime, guildCount });
+  } catch (error) {
+    console.error('Error fetching ping:', error);
+    res.status(500).json({ error: 'Failed to fetch ping' });
+  }
+});
+
+app.get('/logout', (req, res) => {
+  req.session.destroy((err) => {
+    if (err) {
+      console.error('Error destroying session:', err);
+      return res.status(500).send('Error logging out');
+    }
+    res.redirect('/');
+  });
+});
+
+const slashCommands = [
+  new SlashCommandBuilder()
+    .setName('close')
+    .setDescription('Close this ModMail ticket')
+    .setContexts(InteractionContextType.Guild)
+    .addStringOption(opt => opt.setName('reason').setDescription('Reason sent to the user').setMaxLength(1000))
+    .addIntegerOption(opt => opt.setName('delay').setDescription('Seconds before the channel is deleted (default 5)').setMinValue(0).setMaxValue(300))
+    .addStringOption(opt => opt.setName('in').setDescription('Schedule the close instead, e.g. 1h or 2d (cancelled if the user replies)')),
+  new SlashCommandBuilder()
+    .setName('cancelclose')
+    .setDescription('Cancel a scheduled close on this ticket')
+    .setContexts(InteractionContextType.Guild),
+  new SlashCommandBuilder()
+    .setName('reply')
+    .setDescription('Reply to the user showing your name, even if anonymous replies are the default')
+    .setContexts(InteractionContextType.Guild)
+    .addStringOption(opt => opt.setName('message').setDescription('Message to send').setRequired(true).setMaxLength(4000))
+    .addAttachmentOption(opt => opt.setName('attachment').setDescription('File to include')),
+  new SlashCommandBuilder()
+    .setName('areply')
+    .setDescription('Reply to the user anonymously as the server staff team')
+    .setContexts(InteractionContextType.Guild)
+    .addStringOption(opt => opt.setName('message').setDescription('Message to send').setRequired(true).setMaxLength(4000))
+    .addAttachmentOption(opt => opt.setName('attachment').setDescription('File to include')),
+  new SlashCommandBuilder()
+    .setName('snippet')
+    .setDescription('Send a saved snippet to the user')
+    .setContexts(InteractionContextType.Guild)
+    .addStringOption(opt => opt.setName('name').setDescription('Snippet name').setRequired(true).setAutocomplete(true))
+    .addBooleanOption(opt => opt.setName('anonymous').setDescription('Send anonymously (defaults to the server setting)')),
+  new SlashCommandBuilder()
+    .setName('unclaim')
+    .setDescription('Release your claim on this ticket')
+    .setContexts(InteractionContextType.Guild),
+  new SlashCommandBuilder()
+    .setName('reopen')
+    .setDescription('Reopen a closed ticket in a new channel')
+    .setContexts(InteractionContextType.Guild)
+    .addStringOption(opt => opt.setName('ticket-id').setDescription('ID of the closed ticket').setRequired(true)),
+  new SlashCommandBuilder()
+    .setName('transfer')
+    .setDescription('Transfer this ticket to another staff member')
+    .setContexts(InteractionContextType.Guild)
+    .addUserOption(opt => opt.setName('staff').setDescription('Staff member to take over the ticket').setRequired(true)),
+  new SlashCommandBuilder()
+    .setName('priority')
+    .setDescription('Set the priority of this ticket')
+    .setContexts(InteractionContextType.Guild)
+    .addStringOption(opt => opt.setName('level').setDescription('New priority').setRequired(true)
+      .addChoices(...TICKET_PRIORITIES.map(p => ({ name: p, value: p })))),
+  new SlashCommandBuilder()
+    .setName('category')
+    .setDescription('Set the category of this ticket')
+    .setContexts(InteractionContextType.Guild)
+    .addStringOption(opt => opt.setName('name').setDescription('Category name').setRequired(true).setMaxLength(100).setAutocomplete(true)),
+  new SlashCommandBuilder()
+    .setName('note')
+    .setDescription('Add an internal staff note to this ticket')
+    .setContexts(InteractionContextType.Guild)
+    .addStringOption(opt => opt.setName('content').setDescription('Note content').setRequired(true).setMaxLength(2000)),
+  new SlashCommandBuilder()
+    .setName('rename')
+    .setDescription('Rename this ticket channel')
+    .setContexts(InteractionContextType.Guild)
+    .addStringOption(opt => opt.setName('name').setDescription('New channel name (modmail- prefix is kept)').setRequired(true).setMaxLength(90)),
+  new SlashCommandBuilder()
+    .setName('move')
+    .setDescription('Move this ticket channel to another category')
+    .setContexts(InteractionContextType.Guild)
+    .addChannelOption(opt => opt.setName('category').setDescription('Target category').setRequired(true)
+      .addChannelTypes(ChannelType.GuildCategory)),
+  new SlashCommandBuilder()
+    .setName('block')
+    .setDescription('Block a user from contacting ModMail in this server')
+    .setContexts(InteractionContextType.Guild)
+    .addUserOption(opt => opt.setName('user').setDescription('User to block (defaults to the ticket user)'))
+    .addStringOption(opt => opt.setName('reason').setDescription('Reason for the block').setMaxLength(500))
+    .addStringOption(opt => opt.setName('duration').setDescription('Block length, e.g. 12h or 7d (permanent if omitted)')),
+  new SlashCommandBuilder()
+    .setName('unblock')
+    .setDescription('Lift a ModMail block in this server')
+    .setContexts(InteractionContextType.Guild)
+    .addUserOption(opt => opt.setName('user').setDescription('User to unblock (defaults to the ticket user)')),
+  new SlashCommandBuilder()
+    .setName('blocklist')
+    .setDescription('List users blocked from ModMail in this server')
+    .setContexts(InteractionContextType.Guild),
+  new SlashCommandBuilder()
+    .setName('contact')
+    .setDescription('Choose which server your ModMail messages are sent to')
+    .setContexts(InteractionContextType.BotDM)
+    .addStringOption(opt => opt.setName('server').setDescription('Server to contact').setRequired(true).setAutocomplete(true))
+];
+
+client.on('ready', async () => {
+  console.log(`✅ Bot logged in as ${client.user.tag}`);
+  console.log(`🌐 Dashboard running on ${process.env.DASHBOARD_URL || 'http://localhost:3000'}`);
+  console.log(`📊 Guilds: ${client.guilds.cache.size}`);
+  console.log(`👥 Users: ${client.users.cache.size}`);
+  
+  client.user.setActivity('DMs for Support', { type: ActivityType.Watching });
+  
+  const guild = client.guilds.cache.get(process.env.GUILD_ID);
+  if (guild) {
+    console.log(`✅ Connected to guild: ${guild.name}`);
+  } else {
+    console.error('❌ Could not find guild with ID:', process.env.GUILD_ID);
+  }
+
+  try {
+    await client.application.commands.set(slashCommands.map(cmd => cmd.toJSON()));
+    console.log(`✅ Registered ${slashCommands.length} slash commands`);
+  } catch (error) {
+    console.error('❌ Failed to register slash commands:', error);
+  }
+
+  await resolveDuplicateOpenTickets();
+
+  setInterval(runTicketScheduler, SCHEDULER_INTERVAL_MS);
+  runTicketScheduler();
+});
+
+client.on('messageCreate', async (message) => {
+  if (message.author.bot) return;
+
+  try {
+    if (message.channel.type === ChannelType.DM) {
+      console.log(`📨 DM received from ${message.author.tag} (${message.author.id})`);
+      console.log(`📝 Content: ${message.content.substring(0, 100)}`);
+      await handleDM(message);
+      return;
     }
 
-    if (message.guild && message.channel.name && message.channel.name.startsWith('modmail-')) {
+    if (message.guild && message.channel.name && isModMailChannelName(message.channel.name)) {
       console.log(`💬 Staff message in ${message.channel.name}`);
       await handleModMailChannel(message);
     }
@@ -948,31 +3224,18 @@ client.on('messageCreate', async (message) => {
 
 async function handleDM(message) {
   try {
-    console.log(`🔍 Processing DM from ${message.author.tag}`);
-
-    const blocked = await BlockedUser.findOne({ user_id: message.author.id });
-    if (blocked) {
-      console.log(`🚫 User ${message.author.tag} is blocked`);
-      return message.reply({
-        embeds: [
-          new EmbedBuilder()
-            .setColor(0xff0000)
-            .setTitle('❌ Access Denied')
-            .setDescription('You are blocked from using ModMail.')
-            .addFields({ name: 'Reason', value: blocked.reason || 'No reason provided' })
-        ]
-      });
+    const pendingPicker = pendingGuildPickers.get(message.author.id);
+    if (pendingPicker) {
+      // Hold the message until the user picks a server instead of making them resend it.
+      pendingPicker.queue.push(message);
+      console.log(`📥 Queued DM from ${message.author.tag} while the server picker is open (${pendingPicker.queue.length} held)`);
+      if (!pendingPicker.delivering) await message.react('⏳').catch(() => {});
+      return;
     }
 
-    console.log(`🔐 Validating user ${message.author.tag} has access to available servers`);
-    const userGuilds = await client.guilds.fetch().then(guilds => 
-      guilds.map(g => g.id)
-    ).catch(err => {
-      console.error('Failed to fetch bot guilds:', err);
-      return [];
-    });
-    
-    if (userGuilds.length === 0) {
+    console.log(`🔍 Processing DM from ${message.author.tag}`);
+
+    if (client.guilds.cache.size === 0) {
       console.warn('⚠️ Bot is not in any guilds');
       return message.reply({
         embeds: [
@@ -984,20 +3247,22 @@ async function handleDM(message) {
       });
     }
 
-    let availableGuilds = await GuildSetting.find().lean().catch(() => []);
-    
-    console.log(`📊 Available configured guilds: ${availableGuilds.length}`);
-    availableGuilds = availableGuilds.filter(guild => {
-      const isCommon = userGuilds.includes(guild.guild_id);
-      if (!isCommon) {
-        console.log(`🚫 Filtering out guild ${guild.guild_id} - user not a member`);
-      }
-      return isCommon;
-    });
+    console.log(`🔐 Validating user ${message.author.tag} has access to available servers`);
+    const { guilds: availableGuilds, blocks } = await getContactableGuilds(message.author.id);
     console.log(`✅ Guilds user can contact: ${availableGuilds.length}`);
-    
-    let guildConfigForDM = null;
-    
+
+    if (availableGuilds.length === 0 && blocks.length > 0) {
+      const blocked = blocks[0];
+      console.log(`🚫 User ${message.author.tag} is blocked`);
+      const blockedConfig = await GuildSetting.findOne({ guild_id: blocked.guild_id }).lean().catch(() => null);
+      const embed = renderMessageTemplate(blockedConfig, 'blocked', {
+        user: message.author,
+        reason: blocked.reason || 'No reason provided',
+        expires: blocked.expires_at ? `<t:${Math.floor(new Date(blocked.expires_at).getTime() / 1000)}:R>` : ''
+      });
+      return message.reply({ embeds: [embed] });
+    }
+
     if (availableGuilds.length === 0) {
       console.warn(`❌ User ${message.author.tag} has no access to any configured servers`);
       return message.reply({
@@ -1009,303 +3274,754 @@ async function handleDM(message) {
         ]
       });
     }
-    
-    if (availableGuilds.length > 1) {
-      console.log(`📋 User has multiple server options (${availableGuilds.length})`);
-      
-      const existingTicket = await Ticket.findOne({ user_id: message.author.id, status: 'open' });
-      if (existingTicket) {
-        console.log(`📬 Reusing existing ticket for guild: ${existingTicket.guild_id}`);
-        guildConfigForDM = availableGuilds.find(g => g.guild_id === existingTicket.guild_id);
-      } else {
-        console.log('🎯 Showing server selection menu to user');
-        const buttons = availableGuilds.map((g, idx) => 
-          new ButtonBuilder()
-            .setCustomId(`guild_select_${g.guild_id}`)
-            .setLabel(g.name || `Server ${idx + 1}`)
-            .setStyle(ButtonStyle.Primary)
-        );
-
-        const actionRow = new ActionRowBuilder().addComponents(buttons.slice(0, 5));
-        const selectionMsg = await message.reply({
-          content: '👋 Hello! You can contact multiple servers. Which server would you like to reach?\n\n*Select a server from the buttons below:*\n\n⏰ *You have 60 seconds to choose.*',
-          components: [actionRow]
-        });
-
-        const collector = selectionMsg.createMessageComponentCollector({ time: 60000 });
-        let selectedGuild = null;
-        let selectionComplete = false;
-
-        collector.on('collect', async (interaction) => {
-          if (interaction.user.id !== message.author.id) {
-            return interaction.reply({ content: '❌ You can only interact with your own messages.', ephemeral: true });
-          }
-
-          const guildId = interaction.customId.replace('guild_select_', '');
-          selectedGuild = availableGuilds.find(g => g.guild_id === guildId);
 
-          if (selectedGuild) {
-            guildConfigForDM = selectedGuild;
-            selectionComplete = true;
-            await interaction.reply({ content: `✅ You've selected **${selectedGuild.name || guildId}**. Your message will be sent there.`, ephemeral: true });
-            collector.stop();
-          }
-        });
-
-        collector.on('end', async () => {
-          if (!selectedGuild) {
-            console.log(`⏱️ Selection timeout - user did not choose a server. Ignoring DM.`);
-            try {
-              await message.reply({
-                embeds: [
-                  new EmbedBuilder()
-                    .setColor(0xffaa00)
-                    .setTitle('⏰ Selection Timeout')
-                    .setDescription('You took too long to select a server. Your message was not sent.\n\nPlease send another message and select a server within 60 seconds.')
-                ]
-              });
-            } catch (e) {
-              console.error('Failed to send timeout notification:', e);
-            }
-          }
-        });
-
-        await new Promise(resolve => {
-          collector.on('end', resolve);
-        });
+    let guildConfigForDM = await resolveReplyContextGuild(message, availableGuilds);
 
-        if (!selectedGuild) {
-          console.log(`🛑 Stopping DM processing - no server selected within timeout`);
-          return;
-        }
+    if (guildConfigForDM) {
+      await rememberGuildChoice(message.author.id, guildConfigForDM.guild_id);
+    } else if (availableGuilds.length > 1) {
+      console.log(`📋 User has multiple server options (${availableGuilds.length})`);
+      const { guildConfig, openTickets } = await resolveRememberedGuild(message.author.id, availableGuilds);
+      guildConfigForDM = guildConfig;
+      if (!guildConfigForDM) {
+        console.log(`🎯 Showing server selection menu to user (${openTickets.length} open conversation(s))`);
+        await openGuildPicker(message, availableGuilds, openTickets);
+        return;
       }
-    } else if (availableGuilds.length === 1) {
+    } else {
       guildConfigForDM = availableGuilds[0];
       console.log(`✅ Single guild: ${guildConfigForDM.name || guildConfigForDM.guild_id}`);
-    } else {
-      if (process.env.GUILD_ID) {
-        console.warn('⚠️ No guilds in DB, using env GUILD_ID');
-      }
-    }
-
-    if (!guildConfigForDM) {
-      console.error('❌ No guild config available - cannot create ticket');
-      return message.reply({
-        embeds: [
-          new EmbedBuilder()
-            .setColor(0xff0000)
-            .setTitle('❌ Configuration Error')
-            .setDescription('No servers are configured. Please contact an administrator.')
-        ]
-      });
     }
 
-    const ticketQuery = { user_id: message.author.id, status: 'open' };
-    if (guildConfigForDM && guildConfigForDM.guild_id) ticketQuery.guild_id = guildConfigForDM.guild_id;
-    let ticket = await Ticket.findOne(ticketQuery);
-    
-    if (!ticket) {
-      console.log(`🆕 Creating new ticket for ${message.author.tag}`);
-      
-      ticket = await createTicket(message.author, guildConfigForDM);
-      
-      if (!ticket) {
-        console.error('❌ Failed to create ticket');
-        return message.reply({
-          embeds: [
-            new EmbedBuilder()
-              .setColor(0xff0000)
-              .setTitle('❌ Error')
-              .setDescription('Failed to create your ticket. Please try again later or contact an administrator.')
-          ]
-        });
-      }
-
-      const embed = new EmbedBuilder()
-        .setColor(0x00ff00)
-        .setTitle('✅ ModMail Ticket Created')
-        .setDescription('Your message has been sent to our staff team. We\'ll respond as soon as possible!')
-        .addFields(
-          { name: '💬 Response Time', value: 'Usually within a few hours', inline: true },
-          { name: '📝 Ticket ID', value: `\`${ticket._id}\``, inline: true }
-        )
-        .setFooter({ text: 'Reply here to continue the conversation' })
-        .setTimestamp();
+    await forwardDMToGuild(message, guildConfigForDM);
+  } catch (error) {
+    console.error('❌ Error in handleDM:', error);
+    throw error;
+  }
+}
 
-      await message.reply({ embeds: [embed] });
+// Configured servers the user is a member of and not blocked in, plus any blocks that were filtered out.
+async function getContactableGuilds(userId) {
+  const configured = await GuildSetting.find().lean().catch(() => []);
+  const memberGuilds = [];
+  for (const cfg of configured) {
+    const guild = client.guilds.cache.get(cfg.guild_id);
+    const member = guild ? await guild.members.fetch(userId).catch(() => null) : null;
+    if (member) {
+      memberGuilds.push(cfg);
     } else {
-      console.log(`📬 Existing ticket found: ${ticket._id}`);
+      console.log(`🚫 Filtering out guild ${cfg.guild_id} - user not a member`);
     }
+  }
 
-    const channel = await client.channels.fetch(ticket.channel_id).catch(async (err) => {
-      console.error(`❌ Channel ${ticket.channel_id} not found:`, err.message);
-      
-      console.log('🔄 Creating new channel for existing ticket...');
-      const newTicket = await createTicket(message.author);
-      
-      if (newTicket) {
-        ticket.channel_id = newTicket.channel_id;
-        await ticket.save();
-        return await client.channels.fetch(newTicket.channel_id);
-      }
-      
-      return null;
-    });
-    
-    if (!channel) {
-      console.error('❌ Could not access or create channel');
-      return message.reply('❌ An error occurred. Please try again.');
-    }
+  const blocks = await BlockedUser.find(activeBlockFilter({
+    user_id: userId,
+    guild_id: { $in: memberGuilds.map(g => g.guild_id) }
+  })).lean();
+  const blockedGuildIds = blocks.map(b => b.guild_id);
 
-    const embed = new EmbedBuilder()
-      .setColor(0x3498db)
-      .setAuthor({ 
-        name: `${message.author.tag} (${message.author.id})`,
-        iconURL: message.author.displayAvatarURL() 
-      })
-      .setDescription(message.content || '*[No text content]*')
-      .setFooter({ text: `User ID: ${message.author.id} | Ticket: ${ticket._id}` })
-      .setTimestamp();
+  return { guilds: memberGuilds.filter(g => !blockedGuildIds.includes(g.guild_id)), blocks };
+}
 
-    const attachmentUrls = [];
-    if (message.attachments.size > 0) {
-      message.attachments.forEach(attachment => {
-        attachmentUrls.push(attachment.url);
-        embed.addFields({ name: '📎 Attachment', value: `[${attachment.name}](${attachment.url})` });
-      });
-      
-      const firstImage = message.attachments.find(att => 
-        att.contentType?.startsWith('image/')
-      );
-      if (firstImage) {
-        embed.setImage(firstImage.url);
-      }
-    }
+// A Discord reply to a forwarded DM or a staff response goes back to that message's ticket.
+async function resolveReplyContextGuild(message, availableGuilds) {
+  const referenceId = message.reference?.messageId;
+  if (!referenceId) return null;
 
-    await channel.send({ embeds: [embed] });
-    console.log(`✅ Message forwarded to channel ${channel.name}`);
+  const referenced = await Message.findOne({ dm_message_id: referenceId }).lean().catch(() => null);
+  if (!referenced) return null;
 
-    const newMessage = new Message({
-      ticket_id: ticket._id,
-      user_id: message.author.id,
-      content: message.content,
-      attachments: attachmentUrls,
-      timestamp: new Date(),
-      is_staff: false
-    });
-    await newMessage.save();
-    console.log(`💾 Message saved to database`);
+  const ticket = await Ticket.findById(referenced.ticket_id).lean();
+  const guildConfig = ticket && availableGuilds.find(g => g.guild_id === ticket.guild_id);
+  if (!guildConfig) return null;
 
-    await message.react('✅').catch(() => {});
+  console.log(`↩️ Reply routed to the conversation in guild ${ticket.guild_id} (ticket ${ticket._id})`);
+  return guildConfig;
+}
 
-  } catch (error) {
-    console.error('❌ Error in handleDM:', error);
-    throw error;
+// The remembered server is used unless the user has open conversations elsewhere that this message
+// could belong to; a single open conversation is used when nothing is remembered. A null guildConfig
+// means the user has to pick, and openTickets lets the picker mark servers with a conversation.
+async function resolveRememberedGuild(userId, availableGuilds) {
+  const openTickets = await Ticket.find({ user_id: userId, status: 'open', guild_id: { $in: availableGuilds.map(g => g.guild_id) } })
+    .sort({ last_activity_at: -1 })
+    .lean();
+  const preference = await UserPreference.findOne({ user_id: userId }).lean().catch(() => null);
+  const remembered = preference && availableGuilds.find(g => g.guild_id === preference.last_guild_id);
+
+  if (remembered && (openTickets.length === 0 || openTickets.some(t => t.guild_id === remembered.guild_id))) {
+    console.log(`📌 Using remembered server ${remembered.guild_id}`);
+    return { guildConfig: remembered, openTickets };
+  }
+
+  if (!remembered && openTickets.length === 1) {
+    console.log(`📬 Reusing existing ticket for guild: ${openTickets[0].guild_id}`);
+    return { guildConfig: availableGuilds.find(g => g.guild_id === openTickets[0].guild_id), openTickets };
   }
+
+  return { guildConfig: null, openTickets };
 }
 
-async function handleModMailChannel(message) {
-  if (message.author.bot) return;
+async function rememberGuildChoice(userId, guildId) {
+  await UserPreference.updateOne(
+    { user_id: userId },
+    { $set: { last_guild_id: guildId, updated_at: new Date() } },
+    { upsert: true }
+  ).catch(err => console.error('Failed to save server preference:', err));
+}
 
-  const userId = message.channel.topic;
-  if (!userId) {
-    console.warn('⚠️ ModMail channel has no topic (user ID)');
-    return;
+// ===== Server picker =====
+const GUILD_PICKER_PAGE_SIZE = 10;
+const GUILD_PICKER_TIMEOUT_MS = 5 * 60 * 1000;
+// userId -> { queue, guilds, openTickets, page, pickerMessage, timer, delivering }
+const pendingGuildPickers = new Map();
+
+function guildPickerLabel(cfg) {
+  const guild = client.guilds.cache.get(cfg.guild_id);
+  return cfg.name || guild?.name || cfg.guild_id;
+}
+
+function guildPickerDescription(cfg, openTicket = null) {
+  if (openTicket) {
+    const lastActivity = openTicket.last_activity_at || openTicket.created_at;
+    return `💬 Open conversation · ticket ${String(openTicket._id).substring(0, 8)} · last active ${new Date(lastActivity).toUTCString()}`;
   }
+  const guild = client.guilds.cache.get(cfg.guild_id);
+  if (guild?.description) return guild.description;
+  return guild ? `${guild.memberCount} members` : 'ModMail server';
+}
 
-  try {
-    const ticket = await Ticket.findOne({ channel_id: message.channel.id, status: 'open' });
-    
-    if (!ticket) {
-      console.warn(`⚠️ No open ticket found for channel ${message.channel.id}`);
-      return message.reply('⚠️ No open ticket found for this channel.');
-    }
+// Servers with an open conversation come first, most recently active first.
+function sortGuildsByConversation(guilds, openTickets) {
+  const rank = new Map(openTickets.map((t, i) => [t.guild_id, i]));
+  return [...guilds].sort((a, b) => (rank.get(a.guild_id) ?? Infinity) - (rank.get(b.guild_id) ?? Infinity));
+}
 
-    const user = await client.users.fetch(userId).catch(() => null);
-    
-    if (!user) {
-      return message.reply('❌ Could not find user.');
-    }
+function buildGuildPickerPayload(guilds, page, openTickets = []) {
+  const pageCount = Math.ceil(guilds.length / GUILD_PICKER_PAGE_SIZE);
+  const pageGuilds = guilds.slice(page * GUILD_PICKER_PAGE_SIZE, (page + 1) * GUILD_PICKER_PAGE_SIZE);
+  const openTicketFor = (cfg) => openTickets.find(t => t.guild_id === cfg.guild_id) || null;
+
+  const embeds = pageGuilds.map(cfg => new EmbedBuilder()
+    .setColor(openTicketFor(cfg) ? 0x00ff00 : 0x5865f2)
+    .setAuthor({ name: guildPickerLabel(cfg).substring(0, 256), iconURL: client.guilds.cache.get(cfg.guild_id)?.iconURL() || undefined })
+    .setDescription(guildPickerDescription(cfg, openTicketFor(cfg)).substring(0, 4096)));
+
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId('guild_picker')
+    .setPlaceholder(openTickets.length > 0 ? 'Choose a conversation or a server' : 'Choose a server to contact')
+    .addOptions(pageGuilds.map(cfg => {
+      const option = {
+        label: guildPickerLabel(cfg).substring(0, 100),
+        description: guildPickerDescription(cfg, openTicketFor(cfg)).substring(0, 100),
+        value: cfg.guild_id
+      };
+      if (openTicketFor(cfg)) option.emoji = '💬';
+      return option;
+    }));
+
+  const components = [new ActionRowBuilder().addComponents(menu)];
+  if (pageCount > 1) {
+    components.push(new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`guild_picker_page_${page - 1}`).setLabel('◀ Previous').setStyle(ButtonStyle.Secondary).setDisabled(page === 0),
+      new ButtonBuilder().setCustomId('guild_picker_page_indicator').setLabel(`Page ${page + 1} of ${pageCount}`).setStyle(ButtonStyle.Secondary).setDisabled(true),
+      new ButtonBuilder().setCustomId(`guild_picker_page_${page + 1}`).setLabel('Next ▶').setStyle(ButtonStyle.Secondary).setDisabled(page >= pageCount - 1)
+    ));
+  }
 
-    const embed = new EmbedBuilder()
-      .setColor(0x9b59b6)
-      .setAuthor({ 
-        name: `${message.author.tag} (Staff)`,
-        iconURL: message.author.displayAvatarURL() 
-      })
-      .setDescription(message.content || '*[No text content]*')
-      .setFooter({ text: 'Staff Response' })
-      .setTimestamp();
+  const prompt = openTickets.length > 0
+    ? '💬 You have open conversations with more than one server. Which conversation is this message for?\n\n*Servers marked 💬 already have an open conversation; pick any other server to start a new one. Tip: reply to a message from a conversation to skip this question.*'
+    : '👋 Hello! You can contact multiple servers. Which server would you like to reach?';
 
-    const attachmentUrls = [];
-    if (message.attachments.size > 0) {
-      message.attachments.forEach(attachment => {
-        attachmentUrls.push(attachment.url);
-        embed.addFields({ name: '📎 Attachment', value: `[${attachment.name}](${attachment.url})` });
-      });
-      
-      const firstImage = message.attachments.find(att => 
-        att.contentType?.startsWith('image/')
-      );
-      if (firstImage) {
-        embed.setImage(firstImage.url);
-      }
-    }
+  return {
+    content: `${prompt}\n\n*Pick one from the menu below. Anything else you send in the meantime will be delivered once you choose.*`,
+    embeds,
+    components
+  };
+}
 
-    await user.send({ embeds: [embed] });
-    await message.react('✅');
-    console.log(`✅ Staff message sent to user ${user.tag}`);
+async function openGuildPicker(message, guilds, openTickets = []) {
+  // Another DM may have opened a picker while this one was resolving servers.
+  const existing = pendingGuildPickers.get(message.author.id);
+  if (existing) {
+    existing.queue.push(message);
+    return;
+  }
 
-    const newMessage = new Message({
-      ticket_id: ticket._id,
-      user_id: message.author.id,
-      content: message.content,
-      attachments: attachmentUrls,
-      timestamp: new Date(),
-      is_staff: true
-    });
-    await newMessage.save();
+  const state = {
+    queue: [message],
+    guilds: sortGuildsByConversation(guilds, openTickets),
+    openTickets,
+    page: 0,
+    pickerMessage: null,
+    timer: null,
+    delivering: false
+  };
+  pendingGuildPickers.set(message.author.id, state);
 
+  try {
+    state.pickerMessage = await message.reply(buildGuildPickerPayload(state.guilds, 0, openTickets));
   } catch (error) {
-    console.error('❌ Error in handleModMailChannel:', error);
-    await message.reply('❌ Failed to send message to user.').catch(() => {});
+    pendingGuildPickers.delete(message.author.id);
+    throw error;
   }
+  state.timer = setTimeout(() => expireGuildPicker(message.author.id), GUILD_PICKER_TIMEOUT_MS);
+}
+
+async function expireGuildPicker(userId) {
+  const state = pendingGuildPickers.get(userId);
+  if (!state || state.delivering) return;
+  pendingGuildPickers.delete(userId);
+
+  console.log(`⏱️ Server picker expired for ${userId}; dropping ${state.queue.length} held message(s)`);
+  await state.pickerMessage?.edit({ components: [] }).catch(() => {});
+  await state.queue[0].reply({
+    embeds: [
+      new EmbedBuilder()
+        .setColor(0xffaa00)
+        .setTitle('⏰ Selection Timeout')
+        .setDescription(`You didn't pick a server, so your ${state.queue.length === 1 ? 'message was' : `${state.queue.length} messages were`} not sent.\n\nSend another message to try again, or use \`/contact\` to choose a server first.`)
+    ]
+  }).catch(() => {});
 }
 
-async function createTicket(user, guildConfig = null) {
+// Delivers every held message to the chosen server, including ones that arrive while delivering.
+async function completeGuildPicker(userId, guildConfig) {
+  const state = pendingGuildPickers.get(userId);
+  if (!state || state.delivering) return;
+  clearTimeout(state.timer);
+  state.delivering = true;
+  await rememberGuildChoice(userId, guildConfig.guild_id);
+
   try {
-    console.log(`🎫 Creating ticket for ${user.tag} (${user.id})`);
-    
-    let guild = null;
-    if (!guildConfig) {
-      guildConfig = await GuildSetting.findOne({ is_default: true }).lean().catch(() => null);
-      if (!guildConfig) {
-        guildConfig = await GuildSetting.findOne().lean().catch(() => null);
+    while (state.queue.length > 0) {
+      const queued = state.queue.shift();
+      await queued.reactions.resolve('⏳')?.users.remove(client.user.id).catch(() => {});
+      const delivered = await forwardDMToGuild(queued, guildConfig);
+      if (!delivered && state.queue.length > 0) {
+        // The ticket never opened (e.g. no category picked), so later messages have nowhere to go.
+        await queued.reply(`⚠️ ${state.queue.length} more held message(s) were not sent. Please send them again.`).catch(() => {});
+        break;
       }
     }
+  } catch (error) {
+    console.error('❌ Error delivering held DMs:', error);
+  } finally {
+    pendingGuildPickers.delete(userId);
+  }
+}
 
-    if (guildConfig && guildConfig.guild_id) {
-      guild = client.guilds.cache.get(guildConfig.guild_id);
-      if (!guild) {
-        console.warn('⚠️ Configured guild not found in client cache:', guildConfig.guild_id);
-      }
-    }
+async function handleGuildPickerSelect(interaction) {
+  const state = pendingGuildPickers.get(interaction.user.id);
+  if (!state || state.delivering || state.pickerMessage?.id !== interaction.message.id) {
+    return interaction.update({ content: '⏰ This server picker has expired. Send a new message to start again.', embeds: [], components: [] });
+  }
 
-    if (!guild) {
-      if (process.env.GUILD_ID) {
-        guild = client.guilds.cache.get(process.env.GUILD_ID);
-      }
-    }
+  const guildConfig = state.guilds.find(g => g.guild_id === interaction.values[0]);
+  if (!guildConfig) return interaction.reply({ content: '❌ That server is no longer available.', ephemeral: true });
 
-    if (!guild) {
-      console.error('❌ No guild available to create channels in (check settings or environment variables)');
+  await interaction.update({
+    content: `✅ You've selected **${guildPickerLabel(guildConfig)}**. Your messages will be sent there.\n\n*Use \`/contact\` any time to switch servers.*`,
+    embeds: [],
+    components: []
+  });
+  await completeGuildPicker(interaction.user.id, guildConfig);
+}
+
+async function handleGuildPickerPage(interaction) {
+  const state = pendingGuildPickers.get(interaction.user.id);
+  if (!state || state.delivering || state.pickerMessage?.id !== interaction.message.id) {
+    return interaction.update({ content: '⏰ This server picker has expired. Send a new message to start again.', embeds: [], components: [] });
+  }
+
+  const pageCount = Math.ceil(state.guilds.length / GUILD_PICKER_PAGE_SIZE);
+  const page = parseInt(interaction.customId.replace('guild_picker_page_', ''), 10);
+  if (isNaN(page) || page < 0 || page >= pageCount) return interaction.deferUpdate();
+
+  state.page = page;
+  await interaction.update(buildGuildPickerPayload(state.guilds, page, state.openTickets));
+}
+
+async function handleContactAutocomplete(interaction) {
+  const focused = interaction.options.getFocused().toLowerCase();
+  const { guilds } = await getContactableGuilds(interaction.user.id);
+
+  await interaction.respond(guilds
+    .filter(cfg => guildPickerLabel(cfg).toLowerCase().includes(focused))
+    .slice(0, 25)
+    .map(cfg => ({ name: guildPickerLabel(cfg).substring(0, 100), value: cfg.guild_id })));
+}
+
+async function handleContactCommand(interaction) {
+  const query = interaction.options.getString('server', true).trim();
+  const { guilds } = await getContactableGuilds(interaction.user.id);
+  const guildConfig = guilds.find(cfg => cfg.guild_id === query) ||
+    guilds.find(cfg => guildPickerLabel(cfg).toLowerCase() === query.toLowerCase());
+
+  if (!guildConfig) {
+    return interaction.reply({ content: '❌ You can\'t contact that server. Pick one of the suggestions from the list.', ephemeral: true });
+  }
+
+  await rememberGuildChoice(interaction.user.id, guildConfig.guild_id);
+  await interaction.reply({
+    embeds: [
+      new EmbedBuilder()
+        .setColor(0x00ff00)
+        .setTitle('📬 Server Selected')
+        .setDescription(`Your messages will now be sent to **${guildPickerLabel(guildConfig)}**.`)
+        .setThumbnail(client.guilds.cache.get(guildConfig.guild_id)?.iconURL() || null)
+    ]
+  });
+
+  const state = pendingGuildPickers.get(interaction.user.id);
+  if (state && !state.delivering) {
+    await state.pickerMessage?.edit({ components: [] }).catch(() => {});
+    await completeGuildPicker(interaction.user.id, guildConfig);
+  }
+}
+
+// Forwards a DM to the user's ticket in the given server, opening (or reopening) one if needed.
+// Returns false when nothing was forwarded.
+async function forwardDMToGuild(message, guildConfigForDM) {
+  const ticketQuery = { user_id: message.author.id, status: 'open' };
+  if (guildConfigForDM && guildConfigForDM.guild_id) ticketQuery.guild_id = guildConfigForDM.guild_id;
+  let ticket = await Ticket.findOne(ticketQuery);
+
+  if (!ticket && guildConfigForDM.reopen_grace_hours > 0) {
+    const graceCutoff = new Date(Date.now() - guildConfigForDM.reopen_grace_hours * 60 * 60 * 1000);
+    const recentlyClosed = await Ticket.findOne({
+      user_id: message.author.id,
+      guild_id: guildConfigForDM.guild_id,
+      status: 'closed',
+      closed_at: { $gte: graceCutoff }
+    }).sort({ closed_at: -1 });
+
+    if (recentlyClosed) {
+      console.log(`🔄 Reopening recently closed ticket ${recentlyClosed._id} for ${message.author.tag}`);
+      const result = await reopenTicket(recentlyClosed, message.author.id, { automatic: true });
+      if (result.ticket) {
+        ticket = result.ticket;
+        await message.reply({ embeds: [renderMessageTemplate(guildConfigForDM, 'ticket_reopened', { user: message.author, ticket })] });
+      } else {
+        console.warn(`⚠️ Could not reopen ticket ${recentlyClosed._id}: ${result.error}`);
+      }
+    }
+  }
+  
+  if (!ticket) {
+    let ticketCategory = null;
+    if (guildConfigForDM.ticket_categories?.length > 0) {
+      ticketCategory = await promptCategorySelection(message, guildConfigForDM);
+      if (!ticketCategory) {
+        console.log(`🛑 Stopping DM processing - no category selected within timeout`);
+        return false;
+      }
+    }
+
+    let intakeAnswers = [];
+    const intakeQuestions = getIntakeQuestions(guildConfigForDM, ticketCategory);
+    if (intakeQuestions.length > 0) {
+      intakeAnswers = await promptIntakeForm(message, guildConfigForDM, intakeQuestions);
+      if (!intakeAnswers) {
+        console.log(`🛑 Stopping DM processing - intake form not submitted`);
+        return false;
+      }
+    }
+
+    console.log(`🆕 Creating new ticket for ${message.author.tag}`);
+    
+    const away = getAwayStatus(guildConfigForDM);
+    ticket = await createTicket(message.author, guildConfigForDM, { ticketCategory, intakeAnswers, offHours: !!away });
+    
+    if (!ticket) {
+      console.error('❌ Failed to create ticket');
+      await message.reply({ embeds: [renderMessageTemplate(guildConfigForDM, 'ticket_error', { user: message.author })] });
+      return false;
+    }
+
+    const embed = renderMessageTemplate(guildConfigForDM, 'ticket_created', {
+      user: message.author,
+      ticket,
+      category: ticketCategory?.name || '',
+      response_time: away
+        ? (away.returnsAt ? `After we're back <t:${Math.floor(away.returnsAt.getTime() / 1000)}:R>` : 'After we\'re back')
+        : 'Usually within a few hours'
+    });
+    // A category's greeting is more specific than the server-wide template text.
+    if (ticketCategory?.greeting) embed.setDescription(ticketCategory.greeting);
+
+    await message.reply({ embeds: [embed] });
+  } else {
+    console.log(`📬 Existing ticket found: ${ticket._id}`);
+  }
+
+  const channel = await client.channels.fetch(ticket.channel_id).catch(async (err) => {
+    console.error(`❌ Channel ${ticket.channel_id} not found:`, err.message);
+    
+    console.log('🔄 Creating new channel for existing ticket...');
+    // Recreate the channel on the same ticket so the user never ends up with two open in this server.
+    const ticketCategory = guildConfigForDM?.ticket_categories?.find(cat => cat.name === ticket.category) || null;
+    const recreated = await createTicket(message.author, guildConfigForDM, { ticketCategory, recreateTicket: ticket });
+    return recreated ? await client.channels.fetch(recreated.channel_id) : null;
+  });
+  
+  if (!channel) {
+    console.error('❌ Could not access or create channel');
+    await message.reply('❌ An error occurred. Please try again.');
+    return false;
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor(0x3498db)
+    .setAuthor({ 
+      name: `${message.author.tag} (${message.author.id})`,
+      iconURL: message.author.displayAvatarURL() 
+    })
+    .setDescription(message.content || '*[No text content]*')
+    .setFooter({ text: `User ID: ${message.author.id} | Ticket: ${ticket._id}` })
+    .setTimestamp();
+
+  const attachmentUrls = [];
+  if (message.attachments.size > 0) {
+    message.attachments.forEach(attachment => {
+      attachmentUrls.push(attachment.url);
+      embed.addFields({ name: '📎 Attachment', value: `[${attachment.name}](${attachment.url})` });
+    });
+    
+    const firstImage = message.attachments.find(att => 
+      att.contentType?.startsWith('image/')
+    );
+    if (firstImage) {
+      embed.setImage(firstImage.url);
+    }
+  }
+
+  await channel.send({ embeds: [embed] });
+  console.log(`✅ Message forwarded to channel ${channel.name}`);
+
+  const newMessage = new Message({
+    ticket_id: ticket._id,
+    user_id: message.author.id,
+    content: message.content,
+    attachments: attachmentUrls,
+    timestamp: new Date(),
+    is_staff: false,
+    dm_message_id: message.id
+  });
+  await newMessage.save();
+  await recordTicketActivity(ticket, { fromUser: true });
+  await broadcastTicketEvent('message.created', ticket, { message: newMessage });
+  console.log(`💾 Message saved to database`);
+
+  await message.react('✅').catch(() => {});
+  await sendAwayNotice(message, guildConfigForDM, ticket);
+  return true;
+}
+
+// Tells the user when staff are back if they write outside business hours, once per away period.
+async function sendAwayNotice(message, guildConfig, ticket) {
+  const away = getAwayStatus(guildConfig);
+  if (!away) return;
+  if (ticket.away_notified_until && new Date() < ticket.away_notified_until) return;
+
+  const returnsAt = away.returnsAt ? Math.floor(away.returnsAt.getTime() / 1000) : null;
+  const embed = renderMessageTemplate(guildConfig, 'away', {
+    user: message.author,
+    ticket,
+    return_time: returnsAt ? `<t:${returnsAt}:F> (<t:${returnsAt}:R>)` : 'as soon as possible'
+  });
+  await message.reply({ embeds: [embed] }).catch(err => console.error('Failed to send away message:', err));
+
+  // Without a scheduled return, remind again after a day at most.
+  ticket.away_notified_until = away.returnsAt || new Date(Date.now() + 24 * 60 * 60 * 1000);
+  await Ticket.updateOne({ _id: ticket._id }, { $set: { away_notified_until: ticket.away_notified_until } });
+  console.log(`🌙 Sent away message for ticket ${ticket._id}`);
+}
+
+async function promptCategorySelection(message, guildConfig) {
+  const categories = guildConfig.ticket_categories.slice(0, 25);
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId(`category_select_${guildConfig.guild_id}`)
+    .setPlaceholder('Choose what your message is about')
+    .addOptions(categories.map(cat => {
+      const option = { label: cat.name.substring(0, 100), value: String(cat._id) };
+      if (cat.description) option.description = cat.description.substring(0, 100);
+      if (cat.emoji) option.emoji = cat.emoji;
+      return option;
+    }));
+
+  const selectionMsg = await message.reply({
+    content: `📂 What is your message to **${guildConfig.name || 'the server'}** about?\n\n*Pick a category from the menu below.*\n\n⏰ *You have 60 seconds to choose.*`,
+    components: [new ActionRowBuilder().addComponents(menu)]
+  });
+
+  try {
+    const interaction = await selectionMsg.awaitMessageComponent({
+      filter: i => i.user.id === message.author.id,
+      time: 60000
+    });
+    const selected = categories.find(cat => String(cat._id) === interaction.values[0]);
+    await interaction.update({
+      content: `✅ Category selected: **${selected.emoji ? `${selected.emoji} ` : ''}${selected.name}**`,
+      components: []
+    });
+    return selected;
+  } catch (e) {
+    console.log(`⏱️ Category selection timeout for ${message.author.tag}`);
+    await selectionMsg.edit({ components: [] }).catch(() => {});
+    await message.reply({ embeds: [renderMessageTemplate(guildConfig, 'category_timeout', { user: message.author })] }).catch(() => {});
+    return null;
+  }
+}
+
+function getIntakeQuestions(guildConfig, ticketCategory) {
+  if (ticketCategory?.intake_questions?.length > 0) return ticketCategory.intake_questions;
+  return guildConfig?.intake_questions || [];
+}
+
+const INTAKE_FORM_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Modals can only open from an interaction, so the user clicks a button to get the form. The button
+// stays usable until the form is submitted, in case the user closes the modal by accident.
+// Resolves to [{ question, answer }], or null if the form was not submitted in time.
+async function promptIntakeForm(message, guildConfig, questions) {
+  const modalId = `intake_form_${message.id}`;
+  const modal = new ModalBuilder()
+    .setCustomId(modalId)
+    .setTitle(`Contact ${guildConfig.name || 'the server'}`.substring(0, 45))
+    .addComponents(questions.slice(0, INTAKE_MAX_QUESTIONS).map((question, i) => {
+      const input = new TextInputBuilder()
+        .setCustomId(`intake_${i}`)
+        .setLabel(question.label)
+        .setStyle(question.style === 'paragraph' ? TextInputStyle.Paragraph : TextInputStyle.Short)
+        .setRequired(question.required !== false)
+        .setMaxLength(INTAKE_ANSWER_MAX_LENGTH);
+      if (question.placeholder) input.setPlaceholder(question.placeholder);
+      return new ActionRowBuilder().addComponents(input);
+    }));
+
+  const formMsg = await message.reply({
+    content: `📝 **${guildConfig.name || 'The server'}** needs a few details before your ticket is opened.\n\n⏰ *You have ${INTAKE_FORM_TIMEOUT_MS / 60000} minutes to fill in the form.*`,
+    components: [new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`intake_open_${message.id}`).setLabel('Fill in the form').setStyle(ButtonStyle.Primary).setEmoji('📝')
+    )]
+  });
+
+  const buttonCollector = formMsg.createMessageComponentCollector({
+    filter: i => i.user.id === message.author.id,
+    time: INTAKE_FORM_TIMEOUT_MS
+  });
+  buttonCollector.on('collect', i => i.showModal(modal).catch(err => console.error('Failed to show intake form:', err)));
+
+  const submitted = await new Promise(resolve => {
+    const modalCollector = new InteractionCollector(client, {
+      interactionType: InteractionType.ModalSubmit,
+      filter: i => i.customId === modalId && i.user.id === message.author.id,
+      time: INTAKE_FORM_TIMEOUT_MS,
+      max: 1
+    });
+    modalCollector.on('end', collected => resolve(collected.first() || null));
+  });
+  buttonCollector.stop();
+
+  if (!submitted) {
+    console.log(`⏱️ Intake form timeout for ${message.author.tag}`);
+    await formMsg.edit({ components: [] }).catch(() => {});
+    await message.reply({ embeds: [renderMessageTemplate(guildConfig, 'intake_timeout', { user: message.author })] }).catch(() => {});
+    return null;
+  }
+
+  await submitted.update({ content: '✅ Thanks! Your answers were sent along with your message.', components: [] })
+    .catch(err => console.error('Failed to acknowledge intake form:', err));
+
+  return questions.slice(0, INTAKE_MAX_QUESTIONS).map((question, i) => ({
+    question: question.label,
+    answer: submitted.fields.getTextInputValue(`intake_${i}`).trim()
+  }));
+}
+
+async function handleModMailChannel(message) {
+  if (message.author.bot) return;
+
+  try {
+    const ticket = await Ticket.findOne({ channel_id: message.channel.id, status: 'open' });
+    
+    if (!ticket) {
+      console.warn(`⚠️ No open ticket found for channel ${message.channel.id}`);
+      return message.reply('⚠️ No open ticket found for this channel.');
+    }
+
+    const cfg = await GuildSetting.findOne({ guild_id: ticket.guild_id }).lean().catch(() => null);
+    const anonymous = !!cfg?.anonymous_replies;
+
+    const result = await sendStaffReply(ticket, message.author, {
+      content: message.content,
+      attachments: [...message.attachments.values()].map(att => ({ name: att.name, url: att.url, contentType: att.contentType })),
+      anonymous
+    });
+
+    if (result.error) {
+      return message.reply(`❌ ${result.error}`);
+    }
+
+    await message.react('✅');
+    if (anonymous) await message.react('🕶️').catch(() => {});
+
+  } catch (error) {
+    console.error('❌ Error in handleModMailChannel:', error);
+    await message.reply('❌ Failed to send message to user.').catch(() => {});
+  }
+}
+
+async function resolveAnonymousIdentity(guildId) {
+  const guild = client.guilds.cache.get(guildId);
+  const cfg = await GuildSetting.findOne({ guild_id: guildId }).lean().catch(() => null);
+  return {
+    tag: cfg?.anonymous_name || `${guild ? guild.name : 'Server'} Staff`,
+    avatar: cfg?.anonymous_icon_url || guild?.iconURL() || null
+  };
+}
+
+async function sendStaffReply(ticket, author, { content = '', attachments = [], files = [], anonymous = false, mirror = false } = {}) {
+  if (ticket.status !== 'open') return { error: 'Ticket is not open', status: 400 };
+  if (!content.trim() && attachments.length === 0 && files.length === 0) {
+    return { error: 'Reply content or an attachment is required', status: 400 };
+  }
+  if (content.length > 4000) return { error: 'Reply must be 4000 characters or fewer', status: 400 };
+
+  const user = await client.users.fetch(ticket.user_id).catch(() => null);
+  if (!user) return { error: 'Could not find user.', status: 404 };
+
+  const anonymousIdentity = anonymous ? await resolveAnonymousIdentity(ticket.guild_id) : null;
+  const embed = new EmbedBuilder()
+    .setColor(0x9b59b6)
+    .setAuthor(anonymous
+      ? { name: anonymousIdentity.tag, iconURL: anonymousIdentity.avatar || undefined }
+      : { name: `${author.tag} (Staff)`, iconURL: author.displayAvatarURL() })
+    .setDescription(content || '*[No text content]*')
+    .setFooter({ text: `Staff Response · ${client.guilds.cache.get(ticket.guild_id)?.name || 'ModMail'}` })
+    .setTimestamp();
+
+  for (const attachment of attachments) {
+    embed.addFields({ name: '📎 Attachment', value: `[${attachment.name}](${attachment.url})` });
+  }
+  const firstImage = attachments.find(att => att.contentType?.startsWith('image/'));
+  if (firstImage) {
+    embed.setImage(firstImage.url);
+  }
+
+  const dm = await user.send({ embeds: [embed], files: files.map(f => new AttachmentBuilder(f.buffer, { name: f.name })) });
+  dm.attachments.forEach(att => attachments.push({ name: att.name, url: att.url, contentType: att.contentType }));
+  console.log(`✅ Staff message sent to user ${user.tag}`);
+
+  // Only mirror once the DM went through, so the channel never shows a reply the user didn't get.
+  if (mirror) {
+    const channel = await client.channels.fetch(ticket.channel_id).catch(() => null);
+    if (channel) {
+      const mirrorEmbed = new EmbedBuilder()
+        .setColor(0x9b59b6)
+        .setAuthor({ name: `${author.tag} (Staff via Dashboard)${anonymous ? ' — sent anonymously' : ''}`, iconURL: author.displayAvatarURL() })
+        .setDescription(content || '*[No text content]*')
+        .setTimestamp();
+      await channel.send({ embeds: [mirrorEmbed], files: files.map(f => new AttachmentBuilder(f.buffer, { name: f.name })) })
+        .catch(err => console.error('Failed to mirror dashboard reply to channel:', err));
+    }
+  }
+
+  const newMessage = new Message({
+    ticket_id: ticket._id,
+    user_id: author.id,
+    content,
+    attachments: attachments.map(att => att.url),
+    timestamp: new Date(),
+    is_staff: true,
+    is_anonymous: anonymous,
+    dm_message_id: dm.id
+  });
+  await newMessage.save();
+  await recordTicketActivity(ticket, { fromStaff: true });
+  await broadcastTicketEvent('message.created', ticket, { message: newMessage });
+
+  return { message: newMessage };
+}
+
+async function sendSnippet(ticket, author, snippet, { anonymous = false } = {}) {
+  const user = await client.users.fetch(ticket.user_id).catch(() => null);
+  const guild = client.guilds.cache.get(ticket.guild_id);
+  const staffName = anonymous
+    ? (await resolveAnonymousIdentity(ticket.guild_id)).tag
+    : (author.globalName || author.username);
+
+  const content = fillSnippetPlaceholders(snippet.content, { user, guild, staffName, ticket });
+  const result = await sendStaffReply(ticket, author, { content, anonymous });
+  if (result.error) return result;
+
+  await Snippet.updateOne({ _id: snippet._id }, { $inc: { uses: 1 }, $set: { last_used_at: new Date() } });
+  return { ...result, content };
+}
+
+function isModMailChannelName(name) {
+  return name.replace(PRIORITY_PREFIX_PATTERN, '').startsWith('modmail-');
+}
+
+function priorityChannelName(name, priority) {
+  const base = name.replace(PRIORITY_PREFIX_PATTERN, '');
+  const indicator = PRIORITY_INDICATORS[priority];
+  return indicator ? `${indicator}-${base}` : base;
+}
+
+function buildPrioritySelectRow(current = 'normal') {
+  return new ActionRowBuilder().addComponents(
+    new StringSelectMenuBuilder()
+      .setCustomId('ticket_priority')
+      .setPlaceholder('🏷️ Set priority')
+      .addOptions(TICKET_PRIORITIES.map(priority => ({
+        label: priority.charAt(0).toUpperCase() + priority.slice(1),
+        value: priority,
+        emoji: PRIORITY_INDICATORS[priority] || '⚪',
+        default: priority === current
+      })))
+  );
+}
+
+// reopenTicket reopens a closed ticket in a new channel; recreateTicket only replaces the missing
+// channel of a ticket that is still open.
+async function createTicket(user, guildConfig = null, { ticketCategory = null, reopenTicket = null, recreateTicket = null, intakeAnswers = [], offHours = false } = {}) {
+  let guild = null;
+  let channel = null;
+  const existingTicket = reopenTicket || recreateTicket;
+  try {
+    console.log(`🎫 ${reopenTicket ? 'Reopening' : recreateTicket ? 'Recreating channel for' : 'Creating'} ticket for ${user.tag} (${user.id})`);
+    
+    if (!guildConfig) {
+      guildConfig = await GuildSetting.findOne({ is_default: true }).lean().catch(() => null);
+      if (!guildConfig) {
+        guildConfig = await GuildSetting.findOne().lean().catch(() => null);
+      }
+    }
+
+    if (guildConfig && guildConfig.guild_id) {
+      guild = client.guilds.cache.get(guildConfig.guild_id);
+      if (!guild) {
+        console.warn('⚠️ Configured guild not found in client cache:', guildConfig.guild_id);
+      }
+    }
+
+    if (!guild) {
+      if (process.env.GUILD_ID) {
+        guild = client.guilds.cache.get(process.env.GUILD_ID);
+      }
+    }
+
+    if (!guild) {
+      console.error('❌ No guild available to create channels in (check settings or environment variables)');
       throw new Error('Guild not found');
     }
 
     console.log(`✅ Guild found: ${guild.name}`);
 
     let category = null;
-    const categoryId = guildConfig?.modmail_category_id || process.env.MODMAIL_CATEGORY_ID;
+    const categoryId = ticketCategory?.parent_channel_id || guildConfig?.modmail_category_id || process.env.MODMAIL_CATEGORY_ID;
     if (categoryId) {
       category = guild.channels.cache.get(categoryId);
       if (category) {
@@ -1317,7 +4033,7 @@ async function createTicket(user, guildConfig = null) {
 
     const timestamp = Date.now();
     const username = user.username.toLowerCase().replace(/[^a-z0-9]/g, '');
-    const channelName = `modmail-${username}-${timestamp}`;
+    const channelName = priorityChannelName(`modmail-${username}-${timestamp}`, existingTicket?.priority);
 
     console.log(`📝 Creating channel: ${channelName}`);
 
@@ -1353,9 +4069,18 @@ async function createTicket(user, guildConfig = null) {
       }
     ];
 
-    if (staffRole) {
+    let categoryRole = null;
+    if (ticketCategory?.staff_role_id && ticketCategory.staff_role_id !== staffRole?.id) {
+      categoryRole = guild.roles.cache.get(ticketCategory.staff_role_id) ||
+        await guild.roles.fetch(ticketCategory.staff_role_id).catch(() => null);
+      if (!categoryRole) {
+        console.warn('⚠️ Category staff role not found:', ticketCategory.staff_role_id);
+      }
+    }
+
+    for (const role of [staffRole, categoryRole].filter(Boolean)) {
       permissionOverwrites.push({
-        id: staffRole.id,
+        id: role.id,
         allow: [
           PermissionFlagsBits.ViewChannel,
           PermissionFlagsBits.SendMessages,
@@ -1366,7 +4091,7 @@ async function createTicket(user, guildConfig = null) {
       });
     }
 
-    const channel = await guild.channels.create({
+    channel = await guild.channels.create({
       name: channelName,
       type: ChannelType.GuildText,
       parent: category?.id,
@@ -1379,17 +4104,28 @@ async function createTicket(user, guildConfig = null) {
 
     const embed = new EmbedBuilder()
       .setColor(0x00ff00)
-      .setTitle('📬 New ModMail Ticket')
-      .setDescription(`A new support ticket has been created.`)
+      .setTitle(reopenTicket ? '🔄 ModMail Ticket Reopened' : recreateTicket ? '🔁 ModMail Channel Recreated' : '📬 New ModMail Ticket')
+      .setDescription(reopenTicket
+        ? `Ticket \`${reopenTicket._id}\` has been reopened.`
+        : recreateTicket
+          ? `The channel for open ticket \`${recreateTicket._id}\` was missing, so it has been recreated.`
+          : `A new support ticket has been created.`)
       .addFields(
         { name: '👤 User', value: `${user.tag}\n${user}`, inline: true },
         { name: '🆔 User ID', value: user.id, inline: true },
-        { name: '📅 Created', value: `<t:${Math.floor(Date.now() / 1000)}:R>`, inline: true },
+        { name: '📅 Created', value: `<t:${Math.floor((recreateTicket?.created_at?.getTime() || Date.now()) / 1000)}:R>`, inline: true },
         { name: '📊 Account Age', value: `<t:${Math.floor(user.createdTimestamp / 1000)}:R>`, inline: true }
       )
       .setThumbnail(user.displayAvatarURL({ dynamic: true, size: 256 }))
       .setFooter({ text: 'Reply in this channel to respond to the user' })
       .setTimestamp();
+    if (ticketCategory) {
+      embed.addFields({ name: '🗂️ Category', value: `${ticketCategory.emoji ? `${ticketCategory.emoji} ` : ''}${ticketCategory.name}`, inline: true });
+    }
+    if (offHours) {
+      embed.addFields({ name: '🌙 Off-Hours', value: 'Opened outside business hours', inline: true });
+    }
+    await addUserHistoryFields(embed, user.id, guild.id, existingTicket?._id);
 
     const row = new ActionRowBuilder()
       .addComponents(
@@ -1405,151 +4141,1440 @@ async function createTicket(user, guildConfig = null) {
           .setEmoji('✋')
       );
 
+    const pingRole = categoryRole || staffRole;
     await channel.send({ 
-      content: staffRole ? `${staffRole}` : '@here',
+      content: pingRole ? `${pingRole}` : '@here',
       embeds: [embed], 
-      components: [row] 
+      components: [row, buildPrioritySelectRow(existingTicket?.priority)] 
     });
 
+    // Answers get their own message: together with the history fields they could exceed the
+    // 6000 character limit Discord applies across all embeds of a single message.
+    const answers = existingTicket?.intake_answers?.length > 0 ? existingTicket.intake_answers : intakeAnswers;
+    if (answers.length > 0) {
+      const answersEmbed = new EmbedBuilder()
+        .setColor(0x00ff00)
+        .setTitle('📝 Intake Answers')
+        .addFields(answers.map(({ question, answer }) => ({
+          name: `📝 ${question}`.substring(0, 256),
+          value: (answer || '*No answer*').substring(0, INTAKE_ANSWER_MAX_LENGTH)
+        })));
+      await channel.send({ embeds: [answersEmbed] });
+    }
+
+    if (recreateTicket) {
+      recreateTicket.channel_id = channel.id;
+      await recreateTicket.save();
+      console.log(`💾 Channel replaced for ticket: ${recreateTicket._id}`);
+      return recreateTicket;
+    }
+
+    if (reopenTicket) {
+      reopenTicket.channel_id = channel.id;
+      reopenTicket.status = 'open';
+      reopenTicket.closed_at = undefined;
+      reopenTicket.closed_by = undefined;
+      reopenTicket.close_reason = undefined;
+      reopenTicket.inactivity_warned_at = undefined;
+      reopenTicket.scheduled_close_at = undefined;
+      reopenTicket.scheduled_close_by = undefined;
+      reopenTicket.scheduled_close_reason = undefined;
+      reopenTicket.scheduled_close_message_id = undefined;
+      reopenTicket.escalated_at = undefined;
+      reopenTicket.last_activity_at = new Date();
+      reopenTicket.reopened_at = new Date();
+      reopenTicket.reopen_count = (reopenTicket.reopen_count || 0) + 1;
+      await reopenTicket.save();
+      console.log(`💾 Ticket reopened in database: ${reopenTicket._id}`);
+      return reopenTicket;
+    }
+
     const ticket = new Ticket({
       user_id: user.id,
       guild_id: guild.id,
       channel_id: channel.id,
       status: 'open',
+      category: ticketCategory?.name,
+      intake_answers: intakeAnswers,
+      opened_off_hours: offHours,
       created_at: new Date()
     });
     await ticket.save();
     console.log(`💾 Ticket saved to database: ${ticket._id}`);
 
-    if (process.env.LOG_CHANNEL_ID) {
-      const logChannel = guild.channels.cache.get(process.env.LOG_CHANNEL_ID);
-      if (logChannel) {
-        const logEmbed = new EmbedBuilder()
-          .setColor(0x00ff00)
-          .setTitle('📬 New Ticket Created')
-          .addFields(
-            { name: 'User', value: `${user.tag} (${user.id})` },
-            { name: 'Channel', value: `${channel}` },
-            { name: 'Ticket ID', value: `\`${ticket._id}\`` }
-          )
-          .setTimestamp();
-        
-        await logChannel.send({ embeds: [logEmbed] });
-      }
-    }
+    await broadcastTicketEvent('ticket.created', ticket);
+    await logAction({
+      guildId: guild.id,
+      action: 'ticket.create',
+      actorId: user.id,
+      ticket,
+      details: { channel: `${channel}`, category: ticketCategory?.name }
+    });
 
     return ticket;
   } catch (error) {
+    if (channel) {
+      await channel.delete('Ticket could not be opened').catch(err => console.error('Error deleting channel:', err));
+    }
+
+    // Two DMs racing past the open ticket lookup both get this far; the unique index lets only one
+    // save, so the other hands back the ticket that won.
+    if (error.code === 11000 && guild) {
+      const existing = await Ticket.findOne({ user_id: user.id, guild_id: guild.id, status: 'open' }).catch(() => null);
+      if (existing) {
+        console.log(`♻️ ${user.tag} already has open ticket ${existing._id}, using it instead`);
+        return existing;
+      }
+    }
+
     console.error('❌ Error creating ticket:', error);
     console.error('Stack trace:', error.stack);
     return null;
   }
 }
 
-client.on('interactionCreate', async (interaction) => {
-  if (!interaction.isButton()) return;
-
+async function addUserHistoryFields(embed, userId, guildId, excludeTicketId = null) {
   try {
-    if (interaction.customId === 'close_ticket') {
-      await handleCloseTicket(interaction);
-    } else if (interaction.customId === 'claim_ticket') {
-      await handleClaimTicket(interaction);
+    const history = await getUserHistory(userId, guildId, { excludeTicketId, limit: 3 });
+
+    if (history.member) {
+      embed.addFields({ name: '📥 Joined Server', value: `<t:${Math.floor(history.member.joined_at.getTime() / 1000)}:R>`, inline: true });
+      const roles = history.member.roles.map(role => `<@&${role.id}>`);
+      let roleText = roles.join(' ');
+      if (roleText.length > 1024) {
+        roleText = `${roles.slice(0, 20).join(' ')} … +${roles.length - 20} more`;
+      }
+      embed.addFields({ name: `🎭 Roles (${roles.length})`, value: roleText || 'None' });
+    } else {
+      embed.addFields({ name: '📥 Joined Server', value: 'Not a member', inline: true });
+    }
+
+    const lines = history.tickets.map(t => {
+      const when = `<t:${Math.floor(new Date(t.closed_at || t.created_at).getTime() / 1000)}:d>`;
+      const reason = t.close_reason ? ` — ${t.close_reason.length > 60 ? `${t.close_reason.substring(0, 60)}…` : t.close_reason}` : '';
+      return `[\`${String(t._id).substring(0, 8)}\`](${dashboardTicketUrl(t._id)}) ${t.status} ${when}${reason}`;
+    });
+    embed.addFields({
+      name: `📚 Previous Tickets (${history.total})`,
+      value: lines.length > 0 ? lines.join('\n').substring(0, 1024) : 'None'
+    });
+
+    if (history.blocks.length > 0) {
+      const blockLines = history.blocks.slice(0, 3).map(block => {
+        const state = block.active ? '🔴 Active' : '⚪ Lifted/expired';
+        return `${state} — <t:${Math.floor(new Date(block.blocked_at).getTime() / 1000)}:d>${block.reason ? ` — ${block.reason.substring(0, 60)}` : ''}`;
+      });
+      embed.addFields({ name: `🚫 Block History (${history.blocks.length})`, value: blockLines.join('\n') });
     }
   } catch (error) {
-    console.error('Error handling button interaction:', error);
-    await interaction.reply({ 
-      content: '❌ An error occurred while processing your request.', 
-      ephemeral: true 
-    }).catch(() => {});
+    console.error('Failed to load user history for ticket embed:', error);
   }
-});
+}
 
-async function handleCloseTicket(interaction) {
-  const userId = interaction.channel.topic;
-  const ticket = await Ticket.findOne({ user_id: userId, status: 'open' });
+async function getLogChannel(guildId) {
+  const guild = client.guilds.cache.get(guildId);
+  if (!guild) return null;
 
-  if (!ticket) {
-    return interaction.reply({ content: '❌ Ticket not found or already closed.', ephemeral: true });
-  }
+  const cfg = await GuildSetting.findOne({ guild_id: guildId }).lean().catch(() => null);
+  const logChannelId = cfg?.log_channel_id || process.env.LOG_CHANNEL_ID;
+  if (!logChannelId) return null;
 
-  await interaction.reply('🔒 Closing ticket in 5 seconds...');
+  return guild.channels.cache.get(logChannelId) || await guild.channels.fetch(logChannelId).catch(() => null);
+}
 
-  try {
-    const user = await client.users.fetch(userId);
-    
-    const embed = new EmbedBuilder()
-      .setColor(0xe74c3c)
-      .setTitle('🔒 Ticket Closed')
-      .setDescription(`Your ModMail ticket has been closed by ${interaction.user.tag}.`)
-      .addFields({ name: 'Ticket ID', value: `\`${ticket._id}\`` })
-      .setFooter({ text: 'Thank you for contacting us!' })
-      .setTimestamp();
+const AUDIT_ACTIONS = {
+  'ticket.create': { title: '📬 New Ticket Created', color: 0x00ff00 },
+  'ticket.claim': { title: '✋ Ticket Claimed', color: 0x3498db },
+  'ticket.unclaim': { title: '👐 Ticket Unclaimed', color: 0x95a5a6 },
+  'ticket.transfer': { title: '🔁 Ticket Transferred', color: 0x3498db },
+  'ticket.priority': { title: '🏷️ Priority Changed', color: 0xf1c40f },
+  'ticket.note': { title: '📝 Note Added', color: 0x7f8c8d },
+  'ticket.close': { title: '🔒 Ticket Closed', color: 0xe74c3c },
+  'ticket.reopen': { title: '🔄 Ticket Reopened', color: 0x00ff00 },
+  'ticket.delete': { title: '🗑️ Ticket Moved to Trash', color: 0xc0392b },
+  'ticket.restore': { title: '♻️ Ticket Restored', color: 0x2ecc71 },
+  'ticket.purge': { title: '🔥 Ticket Permanently Deleted', color: 0x992d22 },
+  'user.block': { title: '🚫 User Blocked', color: 0xe74c3c },
+  'user.unblock': { title: '✅ User Unblocked', color: 0x2ecc71 },
+  'config.create': { title: '⚙️ Server Registered', color: 0x5865f2 },
+  'config.update': { title: '⚙️ Server Config Updated', color: 0x5865f2 },
+  'config.delete': { title: '⚙️ Server Config Deleted', color: 0x5865f2 },
+  'config.category_create': { title: '🗂️ Ticket Category Added', color: 0x5865f2 },
+  'config.category_update': { title: '🗂️ Ticket Category Updated', color: 0x5865f2 },
+  'config.category_delete': { title: '🗂️ Ticket Category Removed', color: 0x5865f2 },
+  'config.template_update': { title: '🎨 Message Template Updated', color: 0x5865f2 },
+  'config.template_reset': { title: '🎨 Message Template Reset', color: 0x5865f2 }
+};
+
+function formatAuditValue(value, maxLength = 1024) {
+  if (value instanceof Date) return `<t:${Math.floor(value.getTime() / 1000)}:f>`;
+  if (value && typeof value === 'object') return `\`\`\`json\n${JSON.stringify(value, null, 2).substring(0, maxLength - 12)}\n\`\`\``;
+  return String(value).substring(0, maxLength);
+}
+
+// Records an audit entry and mirrors it to the guild's log channel. Never throws, so
+// logging problems can't break the action being logged.
+async function logAction({ guildId, action, actorId, ticket = null, targetUserId = null, details = {}, files = [] }) {
+  const cleanDetails = Object.fromEntries(Object.entries(details).filter(([, value]) => value !== undefined && value !== null && value !== ''));
 
-    await user.send({ embeds: [embed] });
+  try {
+    await AuditLog.create({
+      guild_id: guildId,
+      action,
+      actor_id: actorId,
+      ticket_id: ticket?._id,
+      target_user_id: targetUserId || ticket?.user_id,
+      details: cleanDetails
+    });
   } catch (error) {
-    console.error('Error notifying user of ticket closure:', error);
+    console.error('Failed to save audit log entry:', error);
   }
 
-  ticket.status = 'closed';
-  ticket.closed_at = new Date();
-  ticket.closed_by = interaction.user.id;
-  await ticket.save();
+  if (!guildId) return;
+  const logChannel = await getLogChannel(guildId);
+  if (!logChannel) return;
 
-  if (process.env.LOG_CHANNEL_ID) {
-    const guild = interaction.guild;
-    const logChannel = guild.channels.cache.get(process.env.LOG_CHANNEL_ID);
-    if (logChannel) {
-      const logEmbed = new EmbedBuilder()
-        .setColor(0xe74c3c)
-        .setTitle('🔒 Ticket Closed')
-        .addFields(
-          { name: 'Closed By', value: `${interaction.user.tag}` },
-          { name: 'Channel', value: `${interaction.channel.name}` },
-          { name: 'Ticket ID', value: `\`${ticket._id}\`` }
-        )
-        .setTimestamp();
-      
-      await logChannel.send({ embeds: [logEmbed] });
+  const meta = AUDIT_ACTIONS[action] || { title: action, color: 0x95a5a6 };
+  const embed = new EmbedBuilder()
+    .setColor(meta.color)
+    .setTitle(meta.title)
+    .addFields({ name: 'By', value: actorId ? `<@${actorId}> (${actorId})` : 'System', inline: true })
+    .setTimestamp();
+
+  const userId = targetUserId || ticket?.user_id;
+  if (userId) embed.addFields({ name: 'User', value: `<@${userId}> (${userId})`, inline: true });
+  if (ticket) embed.addFields({ name: 'Ticket ID', value: `\`${ticket._id}\``, inline: true });
+  // Details are shortened to fit the embed's total length; the audit log keeps them in full.
+  const entries = Object.entries(cleanDetails).slice(0, 20);
+  let remaining = EMBED_MAX_TOTAL_LENGTH - embed.length - 100;
+  for (const [index, [key, value]] of entries.entries()) {
+    const name = key.replace(/_/g, ' ').replace(/^\w/, c => c.toUpperCase()).substring(0, 256);
+    const maxLength = Math.min(1024, remaining - name.length);
+    if (maxLength < 50) {
+      embed.setFooter({ text: `${entries.length - index} more detail(s) omitted, see the dashboard audit log` });
+      break;
     }
+    const formatted = formatAuditValue(value, maxLength);
+    embed.addFields({ name, value: formatted });
+    remaining -= name.length + formatted.length;
   }
 
-  setTimeout(async () => {
-    try {
-      await interaction.channel.delete('Ticket closed');
-    } catch (err) {
-      console.error('Error deleting channel:', err);
+  await logChannel.send({ embeds: [embed], files }).catch(err => console.error(`Failed to send ${action} log:`, err));
+}
+
+async function buildTranscript(ticket, { staffView = true } = {}) {
+  const userCache = new Map();
+  const resolveUser = async (userId) => {
+    if (!userCache.has(userId)) {
+      const user = await client.users.fetch(userId).catch(() => null);
+      userCache.set(userId, user
+        ? { tag: user.tag, avatar: user.displayAvatarURL({ extension: 'png', size: 64 }) }
+        : { tag: `Unknown User (${userId})`, avatar: null });
+    }
+    return userCache.get(userId);
+  };
+
+  const messages = await Message.find({ ticket_id: ticket._id }).sort({ timestamp: 1 }).lean();
+  const anonymousIdentity = staffView ? null : await resolveAnonymousIdentity(ticket.guild_id);
+  const entries = [];
+
+  for (const msg of messages) {
+    entries.push({
+      type: 'message',
+      author: msg.is_anonymous && !staffView ? anonymousIdentity : await resolveUser(msg.user_id),
+      content: msg.content,
+      attachments: msg.attachments || [],
+      timestamp: msg.timestamp,
+      is_staff: msg.is_staff
+    });
+  }
+
+  if (staffView) {
+    for (const note of ticket.notes || []) {
+      entries.push({
+        type: 'note',
+        author: await resolveUser(note.user_id),
+        content: note.content,
+        attachments: [],
+        timestamp: note.timestamp,
+        is_staff: true
+      });
     }
-  }, 5000);
+  }
+
+  entries.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  const guild = client.guilds.cache.get(ticket.guild_id);
+  return {
+    ticket,
+    entries,
+    ticketUser: await resolveUser(ticket.user_id),
+    guildName: guild ? guild.name : (ticket.guild_id || 'Unknown Server'),
+    closedBy: ticket.closed_by ? (await resolveUser(ticket.closed_by)).tag : null,
+    generatedAt: new Date()
+  };
 }
 
-async function handleClaimTicket(interaction) {
-  const userId = interaction.channel.topic;
-  const ticket = await Ticket.findOne({ user_id: userId, status: 'open' });
+function renderHtmlTranscript(transcript) {
+  return ejs.renderFile(path.join(__dirname, '../views/transcript.ejs'), transcript);
+}
 
-  if (!ticket) {
-    return interaction.reply({ content: '❌ Ticket not found.', ephemeral: true });
+function renderTextTranscript(transcript) {
+  const { ticket, entries, ticketUser, guildName, closedBy } = transcript;
+  const lines = [
+    'ModMail Transcript',
+    `Ticket ID: ${ticket._id}`,
+    `Server: ${guildName}`,
+    `User: ${ticketUser.tag} (${ticket.user_id})`,
+    `Opened: ${new Date(ticket.created_at).toUTCString()}`
+  ];
+  if (ticket.closed_at) {
+    lines.push(`Closed: ${new Date(ticket.closed_at).toUTCString()}${closedBy ? ` by ${closedBy}` : ''}`);
   }
+  if (ticket.close_reason) {
+    lines.push(`Close Reason: ${ticket.close_reason}`);
+  }
+  lines.push('-'.repeat(60), '');
 
-  if (ticket.claimed_by) {
-    const claimedUser = await client.users.fetch(ticket.claimed_by).catch(() => null);
-    return interaction.reply({ 
-      content: `⚠️ This ticket is already claimed by ${claimedUser?.tag || 'another staff member'}.`, 
-      ephemeral: true 
-    });
+  if (entries.length === 0) {
+    lines.push('No messages were exchanged in this ticket.');
   }
 
-  ticket.claimed_by = interaction.user.id;
-  ticket.claimed_at = new Date();
-  await ticket.save();
+  for (const entry of entries) {
+    const label = entry.type === 'note' ? 'INTERNAL NOTE' : (entry.is_staff ? 'Staff' : 'User');
+    lines.push(`[${new Date(entry.timestamp).toUTCString()}] ${entry.author.tag} (${label}):`);
+    lines.push(...(entry.content || '(No content)').split('\n').map(line => `    ${line}`));
+    for (const url of entry.attachments) {
+      lines.push(`    📎 ${url}`);
+    }
+    lines.push('');
+  }
 
-  const embed = new EmbedBuilder()
-    .setColor(0x3498db)
-    .setDescription(`✋ ${interaction.user} has claimed this ticket.`)
+  return lines.join('\n');
+}
+
+async function buildTranscriptFiles(ticket, options) {
+  const transcript = await buildTranscript(ticket, options);
+  const html = await renderHtmlTranscript(transcript);
+  const text = renderTextTranscript(transcript);
+  return [
+    new AttachmentBuilder(Buffer.from(html, 'utf8'), { name: `transcript-${ticket._id}.html` }),
+    new AttachmentBuilder(Buffer.from(text, 'utf8'), { name: `transcript-${ticket._id}.txt` })
+  ];
+}
+
+async function announceTicketUpdate(ticket, embed) {
+  const channel = await client.channels.fetch(ticket.channel_id).catch(() => null);
+  if (channel) {
+    await channel.send({ embeds: [embed] }).catch(err => console.error('Failed to post ticket update:', err));
+  }
+}
+
+async function closeTicket(ticket, actorId, { reason = null, deleteDelayMs = 0 } = {}) {
+  if (ticket.status !== 'open') return { error: 'Ticket is not open', status: 400 };
+
+  reason = (reason || '').trim() || null;
+  if (reason && reason.length > 1000) return { error: 'Close reason must be 1000 characters or fewer', status: 400 };
+
+  const actor = await client.users.fetch(actorId).catch(() => null);
+  const actorTag = actor ? actor.tag : 'staff';
+
+  ticket.status = 'closed';
+  ticket.closed_at = new Date();
+  ticket.closed_by = actorId;
+  ticket.close_reason = reason;
+  // A pending scheduled close must not fire again if the ticket is later reopened.
+  ticket.scheduled_close_at = undefined;
+  ticket.scheduled_close_by = undefined;
+  ticket.scheduled_close_reason = undefined;
+  ticket.scheduled_close_message_id = undefined;
+  await ticket.save();
+  await recordBusinessDuration(ticket, 'resolution_business_ms', ticket.closed_at);
+
+  const staffTranscript = await buildTranscriptFiles(ticket, { staffView: true })
+    .catch(err => { console.error('Failed to generate transcript:', err); return []; });
+  const userTranscript = await buildTranscriptFiles(ticket, { staffView: false })
+    .catch(err => { console.error('Failed to generate user transcript:', err); return []; });
+
+  try {
+    const user = await client.users.fetch(ticket.user_id);
+    const guildConfig = await GuildSetting.findOne({ guild_id: ticket.guild_id }).lean().catch(() => null);
+    const embed = renderMessageTemplate(guildConfig, 'ticket_closed', { user, ticket, staff: actorTag, reason: reason || '' });
+
+    await user.send({ embeds: [embed], files: userTranscript });
+  } catch (error) {
+    console.error('Error notifying user of ticket closure:', error);
+  }
+
+  const channel = await client.channels.fetch(ticket.channel_id).catch(() => null);
+
+  await broadcastTicketEvent('ticket.closed', ticket);
+  await logAction({
+    guildId: channel?.guild?.id || ticket.guild_id,
+    action: 'ticket.close',
+    actorId,
+    ticket,
+    details: { channel: channel ? channel.name : ticket.channel_id, reason },
+    files: staffTranscript
+  });
+
+  if (channel) {
+    const deleteChannel = () => channel.delete('Ticket closed').catch(err => console.error('Error deleting channel:', err));
+    if (deleteDelayMs > 0) {
+      setTimeout(deleteChannel, deleteDelayMs);
+    } else {
+      await deleteChannel();
+    }
+  }
+
+  return { ticket };
+}
+
+const REOPEN_SUMMARY_MESSAGES = 10;
+
+async function reopenTicket(ticket, actorId, { automatic = false } = {}) {
+  if (ticket.status !== 'closed') return { error: 'Only closed tickets can be reopened', status: 400 };
+
+  const openTicket = await Ticket.findOne({ user_id: ticket.user_id, guild_id: ticket.guild_id, status: 'open' }).lean();
+  if (openTicket) return { error: `The user already has an open ticket (\`${openTicket._id}\`)`, status: 409 };
+
+  const user = await client.users.fetch(ticket.user_id).catch(() => null);
+  if (!user) return { error: 'Could not fetch the ticket user', status: 404 };
+
+  const guildConfig = await GuildSetting.findOne({ guild_id: ticket.guild_id }).lean();
+  const ticketCategory = guildConfig?.ticket_categories?.find(cat => cat.name === ticket.category) || null;
+
+  const previousClose = { closed_at: ticket.closed_at, closed_by: ticket.closed_by, reason: ticket.close_reason };
+  const reopened = await createTicket(user, guildConfig, { ticketCategory, reopenTicket: ticket });
+  if (!reopened) return { error: 'Failed to recreate the ticket channel', status: 500 };
+  if (!reopened._id.equals(ticket._id)) return { error: `The user already has an open ticket (\`${reopened._id}\`)`, status: 409 };
+
+  reopened.reopened_by = actorId;
+  await reopened.save();
+
+  const channel = await client.channels.fetch(reopened.channel_id).catch(() => null);
+  if (channel) {
+    await channel.send({ embeds: [await buildReopenSummaryEmbed(reopened, previousClose, { automatic, actorId })] })
+      .catch(err => console.error('Failed to post reopen summary:', err));
+  }
+
+  if (!automatic) {
+    await user.send({ embeds: [renderMessageTemplate(guildConfig, 'staff_reopened', { user, ticket: reopened })] })
+      .catch(err => console.error('Could not notify user of reopen:', err));
+  }
+
+  await broadcastTicketEvent('ticket.reopened', reopened);
+  await logAction({
+    guildId: reopened.guild_id,
+    action: 'ticket.reopen',
+    actorId,
+    ticket: reopened,
+    details: { automatic, previous_close_reason: previousClose.reason }
+  });
+
+  return { ticket: reopened };
+}
+
+async function buildReopenSummaryEmbed(ticket, previousClose, { automatic, actorId }) {
+  const recent = await Message.find({ ticket_id: ticket._id })
+    .sort({ timestamp: -1 })
+    .limit(REOPEN_SUMMARY_MESSAGES)
+    .lean();
+
+  const userTags = new Map();
+  const lines = [];
+  for (const msg of recent.reverse()) {
+    if (!userTags.has(msg.user_id)) {
+      const author = await client.users.fetch(msg.user_id).catch(() => null);
+      userTags.set(msg.user_id, author ? author.tag : msg.user_id);
+    }
+    const text = (msg.content || '*[attachment]*').replace(/\s+/g, ' ');
+    const label = msg.is_staff ? `🛡️ ${userTags.get(msg.user_id)}` : `👤 ${userTags.get(msg.user_id)}`;
+    lines.push(`**${label}** <t:${Math.floor(new Date(msg.timestamp).getTime() / 1000)}:R>\n${text.length > 200 ? `${text.substring(0, 200)}…` : text}`);
+  }
+
+  let history = lines.join('\n\n');
+  // Stay under the embed description limit by dropping the oldest lines first.
+  while (history.length > 4000 && lines.length > 1) {
+    lines.shift();
+    history = lines.join('\n\n');
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor(0x95a5a6)
+    .setTitle('📜 Previous Conversation')
+    .setDescription(history || '*No messages were exchanged before this ticket was closed.*')
+    .addFields(
+      { name: 'Reopened By', value: automatic ? 'User reply within grace period' : `<@${actorId}>`, inline: true },
+      { name: 'Originally Opened', value: `<t:${Math.floor(new Date(ticket.created_at).getTime() / 1000)}:f>`, inline: true }
+    )
+    .setFooter({ text: `Showing the last ${lines.length} message(s) • Full history is in the transcript` })
+    .setTimestamp();
+
+  if (previousClose.closed_at) {
+    embed.addFields({ name: 'Last Closed', value: `<t:${Math.floor(new Date(previousClose.closed_at).getTime() / 1000)}:f>${previousClose.closed_by ? ` by <@${previousClose.closed_by}>` : ''}`, inline: true });
+  }
+  if (previousClose.reason) embed.addFields({ name: 'Close Reason', value: previousClose.reason });
+  if (ticket.notes?.length) embed.addFields({ name: 'Staff Notes', value: `${ticket.notes.length} note(s) on this ticket` , inline: true });
+
+  return embed;
+}
+
+async function recordTicketActivity(ticket, { fromUser = false, fromStaff = false } = {}) {
+  const now = new Date();
+  const set = { last_activity_at: now };
+  const unset = { inactivity_warned_at: 1 };
+  if (fromUser) {
+    set.last_user_message_at = now;
+    Object.assign(unset, { scheduled_close_at: 1, scheduled_close_by: 1, scheduled_close_reason: 1, scheduled_close_message_id: 1 });
+  }
+  if (fromStaff) {
+    set.last_staff_message_at = now;
+    unset.escalated_at = 1;
+  }
+
+  const previous = await Ticket.findOneAndUpdate(
+    { _id: ticket._id },
+    { $set: set, $unset: unset }
+  ).lean();
+
+  if (fromStaff && previous && !previous.last_staff_message_at) {
+    await recordBusinessDuration(previous, 'first_response_business_ms', now);
+  }
+
+  if (previous?.inactivity_warned_at) {
+    await announceTicketUpdate(ticket, new EmbedBuilder()
+      .setColor(0x2ecc71)
+      .setDescription('⏰ New activity received — the inactivity auto-close has been cancelled.')
+      .setTimestamp());
+  }
+
+  if (fromUser && previous?.scheduled_close_at) {
+    await markScheduledCloseCancelled(previous, 'The user replied');
+  }
+}
+
+async function markScheduledCloseCancelled(ticket, cause) {
+  const embed = new EmbedBuilder()
+    .setColor(0x2ecc71)
+    .setTitle('⏳ Scheduled Close Cancelled')
+    .setDescription(`${cause} — this ticket will stay open.`)
+    .setTimestamp();
+
+  const channel = await client.channels.fetch(ticket.channel_id).catch(() => null);
+  if (!channel) return;
+
+  const countdown = ticket.scheduled_close_message_id
+    ? await channel.messages.fetch(ticket.scheduled_close_message_id).catch(() => null)
+    : null;
+
+  if (countdown) {
+    await countdown.edit({ embeds: [embed] }).catch(err => console.error('Failed to update countdown message:', err));
+  } else {
+    await channel.send({ embeds: [embed] }).catch(err => console.error('Failed to post scheduled close cancellation:', err));
+  }
+}
+
+async function scheduleTicketClose(ticket, actorId, { durationMs, reason = null } = {}) {
+  if (ticket.status !== 'open') return { error: 'Ticket is not open', status: 400 };
+  if (!durationMs) return { error: 'Invalid duration (use e.g. 30m, 1h, 2d)', status: 400 };
+
+  reason = (reason || '').trim() || null;
+  if (reason && reason.length > 1000) return { error: 'Close reason must be 1000 characters or fewer', status: 400 };
+
+  if (ticket.scheduled_close_at) {
+    await markScheduledCloseCancelled(ticket, 'Rescheduled');
+  }
+
+  const closesAt = new Date(Date.now() + durationMs);
+  const closesAtUnix = Math.floor(closesAt.getTime() / 1000);
+
+  ticket.scheduled_close_at = closesAt;
+  ticket.scheduled_close_by = actorId;
+  ticket.scheduled_close_reason = reason;
+
+  const embed = new EmbedBuilder()
+    .setColor(0xf39c12)
+    .setTitle('⏳ Ticket Closing Soon')
+    .setDescription(`<@${actorId}> scheduled this ticket to close <t:${closesAtUnix}:R> (<t:${closesAtUnix}:f>).\nIt will be cancelled automatically if the user replies.`)
+    .setTimestamp();
+  if (reason) embed.addFields({ name: 'Reason', value: reason });
+
+  const channel = await client.channels.fetch(ticket.channel_id).catch(() => null);
+  if (channel) {
+    const countdown = await channel.send({ embeds: [embed] }).catch(() => null);
+    ticket.scheduled_close_message_id = countdown?.id;
+  }
+  await ticket.save();
+
+  try {
+    const user = await client.users.fetch(ticket.user_id);
+    const guildConfig = await GuildSetting.findOne({ guild_id: ticket.guild_id }).lean().catch(() => null);
+    await user.send({
+      embeds: [renderMessageTemplate(guildConfig, 'close_scheduled', { user, ticket, closes_at: `<t:${closesAtUnix}:R>`, reason: reason || '' })]
+    });
+  } catch (error) {
+    console.error('Could not notify user of scheduled close:', error);
+  }
+
+  await broadcastTicketEvent('ticket.updated', ticket);
+  return { ticket };
+}
+
+async function cancelScheduledClose(ticket, actorId) {
+  if (!ticket.scheduled_close_at) return { error: 'No close is scheduled for this ticket', status: 400 };
+
+  const snapshot = ticket.toObject();
+  ticket.scheduled_close_at = undefined;
+  ticket.scheduled_close_by = undefined;
+  ticket.scheduled_close_reason = undefined;
+  ticket.scheduled_close_message_id = undefined;
+  await ticket.save();
+
+  await markScheduledCloseCancelled(snapshot, `Cancelled by <@${actorId}>`);
+  await broadcastTicketEvent('ticket.updated', ticket);
+  return { ticket };
+}
+
+async function claimTicket(ticket, actorId) {
+  if (ticket.status !== 'open') return { error: 'Ticket is not open', status: 400 };
+  if (ticket.claimed_by && ticket.claimed_by !== actorId) {
+    const claimedUser = await client.users.fetch(ticket.claimed_by).catch(() => null);
+    return { error: `This ticket is already claimed by ${claimedUser?.tag || 'another staff member'}.`, status: 409 };
+  }
+
+  ticket.claimed_by = actorId;
+  ticket.claimed_at = new Date();
+  await ticket.save();
+
+  await announceTicketUpdate(ticket, new EmbedBuilder()
+    .setColor(0x3498db)
+    .setDescription(`✋ <@${actorId}> has claimed this ticket.`)
+    .setTimestamp());
+  await broadcastTicketEvent('ticket.updated', ticket);
+  await logAction({ guildId: ticket.guild_id, action: 'ticket.claim', actorId, ticket });
+
+  return { ticket };
+}
+
+async function unclaimTicket(ticket, actorId) {
+  if (ticket.status !== 'open') return { error: 'Ticket is not open', status: 400 };
+  if (!ticket.claimed_by) return { error: 'Ticket is not claimed', status: 400 };
+
+  const previous = ticket.claimed_by;
+  ticket.claimed_by = undefined;
+  ticket.claimed_at = undefined;
+  await ticket.save();
+
+  await announceTicketUpdate(ticket, new EmbedBuilder()
+    .setColor(0x95a5a6)
+    .setDescription(`👐 <@${actorId}> unclaimed this ticket${previous !== actorId ? ` (was claimed by <@${previous}>)` : ''}.`)
+    .setTimestamp());
+  await broadcastTicketEvent('ticket.updated', ticket);
+  await logAction({ guildId: ticket.guild_id, action: 'ticket.unclaim', actorId, ticket, details: { previously_claimed_by: previous } });
+
+  return { ticket };
+}
+
+async function transferTicket(ticket, actorId, targetId) {
+  if (ticket.status !== 'open') return { error: 'Ticket is not open', status: 400 };
+  if (!targetId) return { error: 'Target staff member required', status: 400 };
+  if (ticket.claimed_by === targetId) return { error: 'Ticket is already claimed by that staff member', status: 400 };
+
+  if (!await isStaffForTicket(ticket, targetId)) {
+    return { error: 'Target user is not staff in this server', status: 400 };
+  }
+
+  ticket.claimed_by = targetId;
+  ticket.claimed_at = new Date();
+  await ticket.save();
+
+  await announceTicketUpdate(ticket, new EmbedBuilder()
+    .setColor(0x3498db)
+    .setDescription(`🔁 <@${actorId}> transferred this ticket to <@${targetId}>.`)
+    .setTimestamp());
+  await broadcastTicketEvent('ticket.updated', ticket);
+  await logAction({ guildId: ticket.guild_id, action: 'ticket.transfer', actorId, ticket, details: { transferred_to: targetId } });
+
+  return { ticket };
+}
+
+async function setTicketPriority(ticket, actorId, priority) {
+  if (!TICKET_PRIORITIES.includes(priority)) {
+    return { error: `Priority must be one of: ${TICKET_PRIORITIES.join(', ')}`, status: 400 };
+  }
+  if (ticket.priority === priority) return { error: `Priority is already ${priority}`, status: 400 };
+
+  const previousPriority = ticket.priority;
+  ticket.priority = priority;
+  ticket.priority_updated_at = new Date();
+  ticket.escalated_at = undefined;
+  await ticket.save();
+
+  const channel = await client.channels.fetch(ticket.channel_id).catch(() => null);
+  if (channel) {
+    // Channel renames are heavily rate limited, so don't hold up the caller waiting for one.
+    channel.setName(priorityChannelName(channel.name, priority), `Priority set to ${priority} by ${actorId}`)
+      .catch(error => console.error('Could not update channel name for priority:', error));
+  }
+
+  await announceTicketUpdate(ticket, new EmbedBuilder()
+    .setColor(0xf1c40f)
+    .setDescription(`🏷️ <@${actorId}> set the priority to **${priority}**.`)
+    .setTimestamp());
+  await broadcastTicketEvent('ticket.updated', ticket);
+  await logAction({ guildId: ticket.guild_id, action: 'ticket.priority', actorId, ticket, details: { from: previousPriority, to: priority } });
+
+  return { ticket };
+}
+
+async function setTicketCategory(ticket, actorId, category) {
+  let value = (category || '').trim();
+  if (!value) return { error: 'Category required', status: 400 };
+  if (value.length > 100) return { error: 'Category must be 100 characters or fewer', status: 400 };
+
+  const cfg = await GuildSetting.findOne({ guild_id: ticket.guild_id }).lean();
+  if (cfg?.ticket_categories?.length > 0) {
+    const defined = cfg.ticket_categories.find(cat => cat.name.toLowerCase() === value.toLowerCase());
+    if (!defined) return { error: `Unknown category. Available: ${cfg.ticket_categories.map(cat => cat.name).join(', ')}`, status: 400 };
+    value = defined.name;
+  }
+
+  ticket.category = value;
+  await ticket.save();
+
+  await announceTicketUpdate(ticket, new EmbedBuilder()
+    .setColor(0x9b59b6)
+    .setDescription(`🗂️ <@${actorId}> set the category to **${value}**.`)
+    .setTimestamp());
+  await broadcastTicketEvent('ticket.updated', ticket);
+
+  return { ticket };
+}
+
+async function addTicketNote(ticket, actorId, content) {
+  const value = (content || '').trim();
+  if (!value) return { error: 'Note content required', status: 400 };
+  if (value.length > 2000) return { error: 'Note must be 2000 characters or fewer', status: 400 };
+
+  ticket.notes.push({
+    user_id: actorId,
+    content: value,
+    timestamp: new Date()
+  });
+  await ticket.save();
+
+  const actor = await client.users.fetch(actorId).catch(() => null);
+  await announceTicketUpdate(ticket, new EmbedBuilder()
+    .setColor(0x7f8c8d)
+    .setAuthor({ name: actor ? actor.tag : actorId, iconURL: actor?.displayAvatarURL() })
+    .setTitle('📝 Internal Note')
+    .setDescription(value)
+    .setFooter({ text: 'Notes are only visible to staff' })
+    .setTimestamp());
+  await broadcastTicketEvent('note.created', ticket, { staffOnly: true });
+  await logAction({ guildId: ticket.guild_id, action: 'ticket.note', actorId, ticket, details: { note: value } });
+
+  return { ticket };
+}
+
+async function renameTicket(ticket, actorId, name) {
+  if (ticket.status !== 'open') return { error: 'Ticket is not open', status: 400 };
+
+  const slug = String(name || '').toLowerCase().replace(/^modmail-/, '').replace(/[^a-z0-9-]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
+  if (!slug) return { error: 'A valid channel name is required', status: 400 };
+  if (slug.length > 90) return { error: 'Channel name must be 90 characters or fewer', status: 400 };
+
+  const channel = await client.channels.fetch(ticket.channel_id).catch(() => null);
+  if (!channel) return { error: 'Ticket channel not found', status: 404 };
+
+  const renamed = await channel.setName(priorityChannelName(`modmail-${slug}`, ticket.priority), `Renamed by ${actorId}`);
+  return { ticket, channel: renamed };
+}
+
+async function moveTicket(ticket, actorId, categoryId) {
+  if (ticket.status !== 'open') return { error: 'Ticket is not open', status: 400 };
+  if (!categoryId) return { error: 'Category channel required', status: 400 };
+
+  const channel = await client.channels.fetch(ticket.channel_id).catch(() => null);
+  if (!channel) return { error: 'Ticket channel not found', status: 404 };
+
+  const target = channel.guild.channels.cache.get(categoryId) || await channel.guild.channels.fetch(categoryId).catch(() => null);
+  if (!target || target.type !== ChannelType.GuildCategory) {
+    return { error: 'Target is not a category channel in this server', status: 400 };
+  }
+
+  await channel.setParent(target.id, { lockPermissions: false, reason: `Moved by ${actorId}` });
+
+  await announceTicketUpdate(ticket, new EmbedBuilder()
+    .setColor(0x9b59b6)
+    .setDescription(`📦 <@${actorId}> moved this ticket to **${target.name}**.`)
+    .setTimestamp());
+
+  return { ticket, channel };
+}
+
+const slashCommandHandlers = {
+  close: handleCloseCommand,
+  cancelclose: handleCancelCloseCommand,
+  reply: interaction => handleReplyCommand(interaction, { anonymous: false }),
+  areply: interaction => handleReplyCommand(interaction, { anonymous: true }),
+  snippet: handleSnippetCommand,
+  unclaim: handleUnclaimCommand,
+  reopen: handleReopenCommand,
+  transfer: handleTransferCommand,
+  priority: handlePriorityCommand,
+  category: handleCategoryCommand,
+  note: handleNoteCommand,
+  rename: handleRenameCommand,
+  move: handleMoveCommand,
+  block: handleBlockCommand,
+  unblock: handleUnblockCommand,
+  blocklist: handleBlocklistCommand,
+  contact: handleContactCommand
+};
+
+client.on('interactionCreate', async (interaction) => {
+  try {
+    if (interaction.isAutocomplete()) {
+      if (interaction.commandName === 'snippet') await handleSnippetAutocomplete(interaction);
+      else if (interaction.commandName === 'category') await handleCategoryAutocomplete(interaction);
+      else if (interaction.commandName === 'contact') await handleContactAutocomplete(interaction);
+    } else if (interaction.isChatInputCommand()) {
+      const handler = slashCommandHandlers[interaction.commandName];
+      if (handler) await handler(interaction);
+    } else if (interaction.isButton()) {
+      if (interaction.customId === 'close_ticket') {
+        await handleCloseTicket(interaction);
+      } else if (interaction.customId === 'claim_ticket') {
+        await handleClaimTicket(interaction);
+      } else if (interaction.customId.startsWith('guild_picker_page_')) {
+        await handleGuildPickerPage(interaction);
+      }
+    } else if (interaction.isStringSelectMenu()) {
+      if (interaction.customId === 'ticket_priority') {
+        await handlePrioritySelect(interaction);
+      } else if (interaction.customId === 'guild_picker') {
+        await handleGuildPickerSelect(interaction);
+      }
+    } else if (interaction.isModalSubmit()) {
+      if (interaction.customId === 'close_ticket_modal') {
+        await handleCloseTicketModal(interaction);
+      }
+    }
+  } catch (error) {
+    console.error('Error handling interaction:', error);
+    if (interaction.isAutocomplete()) return;
+    const reply = { 
+      content: '❌ An error occurred while processing your request.', 
+      ephemeral: true 
+    };
+    if (interaction.replied || interaction.deferred) {
+      await interaction.followUp(reply).catch(() => {});
+    } else {
+      await interaction.reply(reply).catch(() => {});
+    }
+  }
+});
+
+async function handleCloseTicket(interaction) {
+  const ticket = await Ticket.findOne({ channel_id: interaction.channel.id, status: 'open' });
+
+  if (!ticket) {
+    return interaction.reply({ content: '❌ Ticket not found or already closed.', ephemeral: true });
+  }
+  if (!await requireStaffInteraction(interaction, ticket)) return;
+
+  const modal = new ModalBuilder()
+    .setCustomId('close_ticket_modal')
+    .setTitle('Close Ticket')
+    .addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('close_reason')
+          .setLabel('Reason (sent to the user)')
+          .setStyle(TextInputStyle.Paragraph)
+          .setRequired(false)
+          .setMaxLength(1000)
+      )
+    );
+
+  await interaction.showModal(modal);
+}
+
+async function handleCloseTicketModal(interaction) {
+  const ticket = await Ticket.findOne({ channel_id: interaction.channel.id, status: 'open' });
+
+  if (!ticket) {
+    return interaction.reply({ content: '❌ Ticket not found or already closed.', ephemeral: true });
+  }
+  if (!await requireStaffInteraction(interaction, ticket)) return;
+
+  await interaction.reply('🔒 Closing ticket in 5 seconds...');
+  await closeTicket(ticket, interaction.user.id, {
+    reason: interaction.fields.getTextInputValue('close_reason'),
+    deleteDelayMs: 5000
+  });
+}
+
+async function handleClaimTicket(interaction) {
+  const ticket = await Ticket.findOne({ channel_id: interaction.channel.id, status: 'open' });
+
+  if (!ticket) {
+    return interaction.reply({ content: '❌ Ticket not found.', ephemeral: true });
+  }
+  if (!await requireStaffInteraction(interaction, ticket)) return;
+
+  const result = await claimTicket(ticket, interaction.user.id);
+  if (result.error) {
+    return interaction.reply({ content: `⚠️ ${result.error}`, ephemeral: true });
+  }
+
+  await interaction.reply({ content: '✅ Ticket claimed.', ephemeral: true });
+}
+
+// Pass the channel's ticket for ticket-scoped actions so its category's staff role is accepted too.
+async function requireStaffInteraction(interaction, ticket = null) {
+  const allowed = interaction.guild && (ticket
+    ? await isStaffForTicket(ticket, interaction.user.id)
+    : await isStaffInGuild(interaction.guild.id, interaction.user.id));
+  if (!allowed) {
+    await interaction.reply({ content: '❌ You must be staff in this server to use this command.', ephemeral: true });
+    return false;
+  }
+  return true;
+}
+
+async function resolveCommandTargetUser(interaction) {
+  const user = interaction.options.getUser('user');
+  if (user) return user;
+
+  const ticket = await Ticket.findOne({ channel_id: interaction.channel.id, status: 'open' }).lean();
+  if (!ticket) return null;
+  return client.users.fetch(ticket.user_id).catch(() => null);
+}
+
+async function resolveChannelTicket(interaction) {
+  const ticket = await Ticket.findOne({ channel_id: interaction.channel.id, status: 'open' });
+  if (!ticket) {
+    await interaction.reply({ content: '❌ This command can only be used inside an open ModMail ticket channel.', ephemeral: true });
+    return null;
+  }
+  return ticket;
+}
+
+async function replyWithTicketResult(interaction, result, successMessage) {
+  if (result.error) {
+    return interaction.reply({ content: `❌ ${result.error}`, ephemeral: true });
+  }
+  return interaction.reply({ content: `✅ ${successMessage}`, ephemeral: true });
+}
+
+async function handleCloseCommand(interaction) {
+  const ticket = await resolveChannelTicket(interaction);
+  if (!ticket) return;
+  if (!await requireStaffInteraction(interaction, ticket)) return;
+
+  const closeIn = interaction.options.getString('in');
+  if (closeIn) {
+    const result = await scheduleTicketClose(ticket, interaction.user.id, {
+      durationMs: parseDuration(closeIn),
+      reason: interaction.options.getString('reason')
+    });
+    return replyWithTicketResult(interaction, result, 'Close scheduled.');
+  }
+
+  const delay = interaction.options.getInteger('delay') ?? 5;
+  await interaction.reply(`🔒 Closing ticket${delay > 0 ? ` in ${delay} seconds` : ''}...`);
+  await closeTicket(ticket, interaction.user.id, {
+    reason: interaction.options.getString('reason'),
+    deleteDelayMs: delay * 1000
+  });
+}
+
+async function handleReplyCommand(interaction, { anonymous }) {
+  const ticket = await resolveChannelTicket(interaction);
+  if (!ticket) return;
+  if (!await requireStaffInteraction(interaction, ticket)) return;
+
+  const content = interaction.options.getString('message', true);
+  const attachment = interaction.options.getAttachment('attachment');
+
+  await interaction.deferReply();
+  const result = await sendStaffReply(ticket, interaction.user, {
+    content,
+    attachments: attachment ? [{ name: attachment.name, url: attachment.url, contentType: attachment.contentType }] : [],
+    anonymous
+  });
+
+  if (result.error) {
+    return interaction.editReply(`❌ ${result.error}`);
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor(0x9b59b6)
+    .setAuthor({ name: `${interaction.user.tag}${anonymous ? ' (sent anonymously)' : ''}`, iconURL: interaction.user.displayAvatarURL() })
+    .setDescription(content)
+    .setTimestamp();
+  if (attachment) embed.addFields({ name: '📎 Attachment', value: `[${attachment.name}](${attachment.url})` });
+
+  await interaction.editReply({ embeds: [embed] });
+}
+
+async function handleSnippetCommand(interaction) {
+  const ticket = await resolveChannelTicket(interaction);
+  if (!ticket) return;
+  if (!await requireStaffInteraction(interaction, ticket)) return;
+
+  const name = interaction.options.getString('name', true).toLowerCase();
+  const snippet = await Snippet.findOne({ guild_id: interaction.guild.id, name }).lean();
+  if (!snippet) {
+    return interaction.reply({ content: `❌ No snippet named \`${name}\` exists in this server.`, ephemeral: true });
+  }
+
+  let anonymous = interaction.options.getBoolean('anonymous');
+  if (anonymous === null) {
+    const cfg = await GuildSetting.findOne({ guild_id: interaction.guild.id }).lean().catch(() => null);
+    anonymous = !!cfg?.anonymous_replies;
+  }
+
+  await interaction.deferReply();
+  const result = await sendSnippet(ticket, interaction.user, snippet, { anonymous });
+  if (result.error) {
+    return interaction.editReply(`❌ ${result.error}`);
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor(0x9b59b6)
+    .setAuthor({ name: `${interaction.user.tag}${anonymous ? ' (sent anonymously)' : ''}`, iconURL: interaction.user.displayAvatarURL() })
+    .setDescription(result.content)
+    .setFooter({ text: `Snippet: ${snippet.name}` })
+    .setTimestamp();
+
+  await interaction.editReply({ embeds: [embed] });
+}
+
+async function handleSnippetAutocomplete(interaction) {
+  if (!interaction.guild) return interaction.respond([]);
+
+  const focused = interaction.options.getFocused().toLowerCase().replace(/[^a-z0-9_-]/g, '');
+  const snippets = await Snippet.find({ guild_id: interaction.guild.id, name: { $regex: focused } })
+    .sort({ uses: -1, name: 1 })
+    .limit(25)
+    .lean();
+
+  await interaction.respond(snippets.map(sn => ({
+    name: `${sn.name} — ${sn.content.replace(/\s+/g, ' ')}`.substring(0, 100),
+    value: sn.name
+  })));
+}
+
+async function handleCategoryAutocomplete(interaction) {
+  if (!interaction.guild) return interaction.respond([]);
+
+  const focused = interaction.options.getFocused().toLowerCase();
+  const cfg = await GuildSetting.findOne({ guild_id: interaction.guild.id }).lean();
+  const categories = (cfg?.ticket_categories || [])
+    .filter(cat => cat.name.toLowerCase().includes(focused))
+    .slice(0, 25);
+
+  await interaction.respond(categories.map(cat => ({
+    name: `${cat.emoji ? `${cat.emoji} ` : ''}${cat.name}`.substring(0, 100),
+    value: cat.name
+  })));
+}
+
+async function handleCancelCloseCommand(interaction) {
+  const ticket = await resolveChannelTicket(interaction);
+  if (!ticket) return;
+  if (!await requireStaffInteraction(interaction, ticket)) return;
+
+  const result = await cancelScheduledClose(ticket, interaction.user.id);
+  await replyWithTicketResult(interaction, result, 'Scheduled close cancelled.');
+}
+
+async function handleReopenCommand(interaction) {
+  if (!await requireStaffInteraction(interaction)) return;
+
+  const ticketId = interaction.options.getString('ticket-id', true).trim();
+  const ticket = mongoose.isValidObjectId(ticketId) ? await Ticket.findById(ticketId) : null;
+  if (!ticket || ticket.guild_id !== interaction.guild.id) {
+    return interaction.reply({ content: '❌ No ticket with that ID exists in this server.', ephemeral: true });
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+  const result = await reopenTicket(ticket, interaction.user.id);
+  if (result.error) {
+    return interaction.editReply({ content: `❌ ${result.error}` });
+  }
+  await interaction.editReply({ content: `✅ Ticket reopened in <#${result.ticket.channel_id}>.` });
+}
+
+async function handleUnclaimCommand(interaction) {
+  const ticket = await resolveChannelTicket(interaction);
+  if (!ticket) return;
+  if (!await requireStaffInteraction(interaction, ticket)) return;
+
+  const result = await unclaimTicket(ticket, interaction.user.id);
+  await replyWithTicketResult(interaction, result, 'Ticket unclaimed.');
+}
+
+async function handleTransferCommand(interaction) {
+  const ticket = await resolveChannelTicket(interaction);
+  if (!ticket) return;
+  if (!await requireStaffInteraction(interaction, ticket)) return;
+
+  const target = interaction.options.getUser('staff', true);
+  const result = await transferTicket(ticket, interaction.user.id, target.id);
+  await replyWithTicketResult(interaction, result, `Ticket transferred to ${target.tag}.`);
+}
+
+async function handlePriorityCommand(interaction) {
+  const ticket = await resolveChannelTicket(interaction);
+  if (!ticket) return;
+  if (!await requireStaffInteraction(interaction, ticket)) return;
+
+  const level = interaction.options.getString('level', true);
+  const result = await setTicketPriority(ticket, interaction.user.id, level);
+  await replyWithTicketResult(interaction, result, `Priority set to ${level}.`);
+}
+
+async function handlePrioritySelect(interaction) {
+  const ticket = await resolveChannelTicket(interaction);
+  if (!ticket) return;
+  if (!await requireStaffInteraction(interaction, ticket)) return;
+
+  const level = interaction.values[0];
+  const result = await setTicketPriority(ticket, interaction.user.id, level);
+  await replyWithTicketResult(interaction, result, `Priority set to ${level}.`);
+}
+
+async function handleCategoryCommand(interaction) {
+  const ticket = await resolveChannelTicket(interaction);
+  if (!ticket) return;
+  if (!await requireStaffInteraction(interaction, ticket)) return;
+
+  const result = await setTicketCategory(ticket, interaction.user.id, interaction.options.getString('name', true));
+  await replyWithTicketResult(interaction, result, 'Category updated.');
+}
+
+async function handleNoteCommand(interaction) {
+  const ticket = await resolveChannelTicket(interaction);
+  if (!ticket) return;
+  if (!await requireStaffInteraction(interaction, ticket)) return;
+
+  const result = await addTicketNote(ticket, interaction.user.id, interaction.options.getString('content', true));
+  await replyWithTicketResult(interaction, result, 'Note added.');
+}
+
+async function handleRenameCommand(interaction) {
+  const ticket = await resolveChannelTicket(interaction);
+  if (!ticket) return;
+  if (!await requireStaffInteraction(interaction, ticket)) return;
+
+  const result = await renameTicket(ticket, interaction.user.id, interaction.options.getString('name', true));
+  await replyWithTicketResult(interaction, result, result.channel ? `Channel renamed to ${result.channel.name}.` : '');
+}
+
+async function handleMoveCommand(interaction) {
+  const ticket = await resolveChannelTicket(interaction);
+  if (!ticket) return;
+  if (!await requireStaffInteraction(interaction, ticket)) return;
+
+  const category = interaction.options.getChannel('category', true);
+  const result = await moveTicket(ticket, interaction.user.id, category.id);
+  await replyWithTicketResult(interaction, result, `Ticket moved to ${category.name}.`);
+}
+
+async function handleBlockCommand(interaction) {
+  if (!await requireStaffInteraction(interaction)) return;
+
+  const target = await resolveCommandTargetUser(interaction);
+  if (!target) {
+    return interaction.reply({ content: '❌ Specify a user, or run this command inside a ModMail ticket channel.', ephemeral: true });
+  }
+
+  const duration = interaction.options.getString('duration');
+  const durationMs = duration ? parseDuration(duration) : null;
+  if (duration && !durationMs) {
+    return interaction.reply({ content: '❌ Invalid duration. Use a format like `30m`, `12h` or `7d`.', ephemeral: true });
+  }
+
+  const result = await blockUser({
+    guildId: interaction.guild.id,
+    userId: target.id,
+    actorId: interaction.user.id,
+    reason: interaction.options.getString('reason'),
+    durationMs
+  });
+  if (result.error) {
+    return interaction.reply({ content: `❌ ${result.error}`, ephemeral: true });
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor(0xe74c3c)
+    .setDescription(`🚫 ${target} (${target.tag}) has been blocked from ModMail by ${interaction.user}.`)
+    .addFields(
+      { name: 'Reason', value: result.block.reason || 'No reason provided', inline: true },
+      { name: 'Expires', value: result.block.expires_at ? `<t:${Math.floor(result.block.expires_at.getTime() / 1000)}:R>` : 'Never', inline: true }
+    )
     .setTimestamp();
 
   await interaction.reply({ embeds: [embed] });
 }
 
+async function handleUnblockCommand(interaction) {
+  if (!await requireStaffInteraction(interaction)) return;
+
+  const target = await resolveCommandTargetUser(interaction);
+  if (!target) {
+    return interaction.reply({ content: '❌ Specify a user, or run this command inside a ModMail ticket channel.', ephemeral: true });
+  }
+
+  const result = await unblockUser({
+    guildId: interaction.guild.id,
+    userId: target.id,
+    actorId: interaction.user.id
+  });
+  if (result.error) {
+    return interaction.reply({ content: `❌ ${result.error}`, ephemeral: true });
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor(0x2ecc71)
+    .setDescription(`✅ ${target} (${target.tag}) has been unblocked by ${interaction.user}.`)
+    .setTimestamp();
+
+  await interaction.reply({ embeds: [embed] });
+}
+
+async function handleBlocklistCommand(interaction) {
+  if (!await requireStaffInteraction(interaction)) return;
+
+  const blocks = await BlockedUser.find(activeBlockFilter({ guild_id: interaction.guild.id }))
+    .sort({ blocked_at: -1 })
+    .limit(25)
+    .lean();
+
+  if (blocks.length === 0) {
+    return interaction.reply({ content: '✅ No users are currently blocked in this server.', ephemeral: true });
+  }
+
+  const lines = blocks.map(b => {
+    const expires = b.expires_at ? `expires <t:${Math.floor(new Date(b.expires_at).getTime() / 1000)}:R>` : 'permanent';
+    return `• <@${b.user_id}> (\`${b.user_id}\`) — ${b.reason || 'No reason'} — ${expires}`;
+  });
+
+  const embed = new EmbedBuilder()
+    .setColor(0xe74c3c)
+    .setTitle('🚫 Blocked Users')
+    .setDescription(lines.join('\n').substring(0, 4096))
+    .setFooter({ text: `Showing ${blocks.length} most recent block(s)` })
+    .setTimestamp();
+
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+// The unique open ticket index can't be built while a user still has more than one open ticket in a
+// server, so legacy data is cleaned up at startup: tickets saved before guild_id existed get it from
+// their channel, and only the most recently active ticket of each user and server stays open.
+async function resolveDuplicateOpenTickets() {
+  try {
+    const openTickets = await Ticket.find({ status: 'open' }, { user_id: 1, guild_id: 1, channel_id: 1, created_at: 1, last_activity_at: 1 }).lean();
+    const groups = new Map();
+
+    for (const ticket of openTickets) {
+      let guildId = ticket.guild_id;
+      if (!guildId && ticket.channel_id) {
+        const channel = client.channels.cache.get(ticket.channel_id) || await client.channels.fetch(ticket.channel_id).catch(() => null);
+        guildId = channel?.guildId || null;
+      }
+      const key = `${ticket.user_id}:${guildId}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push({ ticket, guildId });
+    }
+
+    for (const group of groups.values()) {
+      const activity = ({ ticket }) => new Date(ticket.last_activity_at || ticket.created_at || 0).getTime();
+      group.sort((a, b) => activity(b) - activity(a));
+      const [kept, ...duplicates] = group;
+
+      for (const { ticket, guildId } of duplicates) {
+        console.warn(`⚠️ Closing duplicate open ticket ${ticket._id} (keeping ${kept.ticket._id})`);
+        const reason = `Duplicate of open ticket ${kept.ticket._id}`;
+        await Ticket.updateOne({ _id: ticket._id }, {
+          $set: { status: 'closed', closed_at: new Date(), closed_by: client.user.id, close_reason: reason },
+          $unset: { scheduled_close_at: 1, scheduled_close_by: 1, scheduled_close_reason: 1, scheduled_close_message_id: 1 }
+        });
+        const channel = client.channels.cache.get(ticket.channel_id) || await client.channels.fetch(ticket.channel_id).catch(() => null);
+        await channel?.send(`🔒 This ticket was closed automatically as a duplicate. Continue the conversation in <#${kept.ticket.channel_id}>.`).catch(() => {});
+        if (guildId) await logAction({ guildId, action: 'ticket.close', actorId: client.user.id, ticket, details: { reason } });
+      }
+
+      if (!kept.ticket.guild_id && kept.guildId) {
+        await Ticket.updateOne({ _id: kept.ticket._id }, { $set: { guild_id: kept.guildId } });
+        console.log(`🔧 Backfilled guild for legacy ticket ${kept.ticket._id}`);
+      }
+    }
+
+    await Ticket.createIndexes();
+  } catch (error) {
+    console.error('❌ Failed to resolve duplicate open tickets:', error);
+  }
+}
+
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+let schedulerRunning = false;
+
+async function runTicketScheduler() {
+  if (schedulerRunning) return;
+  schedulerRunning = true;
+
+  try {
+    await processScheduledCloses();
+    await processInactiveTickets();
+    await processUrgentEscalations();
+    await processTrashPurge();
+  } catch (error) {
+    console.error('❌ Ticket scheduler error:', error);
+  } finally {
+    schedulerRunning = false;
+  }
+}
+
+async function processScheduledCloses() {
+  const due = await Ticket.find({ status: 'open', scheduled_close_at: { $lte: new Date() } });
+
+  for (const ticket of due) {
+    console.log(`🔒 Running scheduled close for ticket ${ticket._id}`);
+    await closeTicket(ticket, ticket.scheduled_close_by || client.user.id, { reason: ticket.scheduled_close_reason });
+  }
+}
+
+async function processInactiveTickets() {
+  const guilds = await GuildSetting.find({ inactivity_close_hours: { $gt: 0 } }).lean();
+  const HOUR = 60 * 60 * 1000;
+
+  for (const cfg of guilds) {
+    const now = Date.now();
+    const closeAfterMs = cfg.inactivity_close_hours * HOUR;
+    const warningLeadMs = Math.min(cfg.inactivity_warning_hours || 0, cfg.inactivity_close_hours) * HOUR;
+    const warnCutoff = new Date(now - (closeAfterMs - warningLeadMs));
+
+    const toWarn = await Ticket.find({
+      guild_id: cfg.guild_id,
+      status: 'open',
+      inactivity_warned_at: null,
+      $or: [
+        { last_activity_at: { $lte: warnCutoff } },
+        { last_activity_at: null, created_at: { $lte: warnCutoff } }
+      ]
+    });
+
+    for (const ticket of toWarn) {
+      const closesAt = Math.floor((now + warningLeadMs) / 1000);
+      ticket.inactivity_warned_at = new Date(now);
+      await ticket.save();
+
+      if (warningLeadMs === 0) continue;
+
+      console.log(`⏰ Sending inactivity warning for ticket ${ticket._id}`);
+      await announceTicketUpdate(ticket, new EmbedBuilder()
+        .setColor(0xf39c12)
+        .setTitle('⏰ Inactivity Warning')
+        .setDescription(`This ticket has been inactive and will be closed automatically <t:${closesAt}:R> unless someone replies.`)
+        .setTimestamp());
+
+      try {
+        const user = await client.users.fetch(ticket.user_id);
+        await user.send({ embeds: [renderMessageTemplate(cfg, 'inactivity_warning', { user, ticket, closes_at: `<t:${closesAt}:R>` })] });
+      } catch (error) {
+        console.error('Could not send inactivity warning to user:', error);
+      }
+    }
+
+    const toClose = await Ticket.find({
+      guild_id: cfg.guild_id,
+      status: 'open',
+      inactivity_warned_at: { $lte: new Date(now - warningLeadMs) }
+    });
+
+    for (const ticket of toClose) {
+      console.log(`🔒 Auto-closing inactive ticket ${ticket._id}`);
+      await closeTicket(ticket, client.user.id, { reason: 'inactivity' });
+    }
+  }
+}
+
+async function purgeTicket(ticket, actorId) {
+  await Message.deleteMany({ ticket_id: ticket._id });
+  await Ticket.deleteOne({ _id: ticket._id });
+  await logAction({
+    guildId: ticket.guild_id,
+    action: 'ticket.purge',
+    actorId,
+    ticket,
+    details: { deleted_at: ticket.deleted_at, deleted_by: ticket.deleted_by }
+  });
+}
+
+async function processTrashPurge() {
+  const DAY = 24 * 60 * 60 * 1000;
+  const configs = await GuildSetting.find({}, { guild_id: 1, trash_retention_days: 1 }).lean();
+
+  // Guilds without a config, or with a config saved before the setting existed, fall back to the default retention.
+  const batches = configs
+    .map(cfg => ({ guild_id: cfg.guild_id, days: cfg.trash_retention_days ?? DEFAULT_TRASH_RETENTION_DAYS }))
+    .filter(cfg => cfg.days > 0)
+    .map(cfg => ({ guild_id: cfg.guild_id, cutoff: new Date(Date.now() - cfg.days * DAY) }));
+  batches.push({ guild_id: { $nin: configs.map(cfg => cfg.guild_id) }, cutoff: new Date(Date.now() - DEFAULT_TRASH_RETENTION_DAYS * DAY) });
+
+  for (const { guild_id, cutoff } of batches) {
+    const expired = await Ticket.find({ guild_id, status: 'deleted', deleted_at: { $lte: cutoff } });
+    for (const ticket of expired) {
+      console.log(`🗑️ Purging trashed ticket ${ticket._id}`);
+      await purgeTicket(ticket, client.user.id);
+    }
+  }
+}
+
+async function processUrgentEscalations() {
+  const guilds = await GuildSetting.find({ escalation_minutes: { $gt: 0 }, escalation_role_id: { $nin: [null, ''] } }).lean();
+
+  for (const cfg of guilds) {
+    const now = Date.now();
+    const thresholdMs = cfg.escalation_minutes * 60 * 1000;
+    const tickets = await Ticket.find({ guild_id: cfg.guild_id, status: 'open', priority: 'urgent' });
+
+    for (const ticket of tickets) {
+      const awaitingSince = ticket.last_user_message_at || ticket.created_at;
+      if (ticket.last_staff_message_at && ticket.last_staff_message_at >= awaitingSince) continue;
+
+      // Measure from whichever happened last: the user's message, the ticket becoming urgent, or the previous ping.
+      const since = Math.max(awaitingSince.getTime(), ticket.priority_updated_at?.getTime() || 0, ticket.escalated_at?.getTime() || 0);
+      if (now - since < thresholdMs) continue;
+
+      const channel = await client.channels.fetch(ticket.channel_id).catch(() => null);
+      if (!channel) continue;
+
+      console.log(`🚨 Escalating unanswered urgent ticket ${ticket._id}`);
+      ticket.escalated_at = new Date(now);
+      await ticket.save();
+
+      await channel.send({
+        content: `<@&${cfg.escalation_role_id}>`,
+        embeds: [
+          new EmbedBuilder()
+            .setColor(0xe74c3c)
+            .setTitle('🚨 Urgent Ticket Unanswered')
+            .setDescription(`This urgent ticket has been waiting for a staff reply since <t:${Math.floor(awaitingSince.getTime() / 1000)}:R>.`)
+            .setTimestamp()
+        ]
+      }).catch(error => console.error('Could not send escalation ping:', error));
+    }
+  }
+}
+
 client.on('error', error => {
   console.error('Discord client error:', error);
 });